@@ -54,10 +54,21 @@ MPD218.MIDI = {
     NRPN_LSB: 98,
     NRPN_INCREMENT: 96,
     NRPN_DECREMENT: 97,
+    DATA_ENTRY_MSB: 6,
+    DATA_ENTRY_LSB: 38,
+    
+    // largest 14-bit NRPN data entry value
+    MAX_DATA_ENTRY: 16383,
+    
+    // NRPN null/reset: parameter MSB and LSB both 127 clear the selection
+    NRPN_NULL: 127,
     
     // velocities
     LED_ON: 127,
-    LED_OFF: 0
+    LED_MEDIUM: 64,
+    LED_DIM: 20,
+    LED_OFF: 0,
+    MAX_VELOCITY: 127
 };
 
 
@@ -92,6 +103,14 @@ MPD218.HARDWARE = {
         BOTTOM_ROW: [0x44, 0x45, 0x46, 0x47]
     },
     
+    // MIDI channels of the 2x2 deck encoders per hardware bank
+    // (back-left, back-right, front-left, front-right)
+    DECK_ENCODER_CHANNELS: {
+        1: [3, 4, 5, 6],
+        2: [7, 8, 9, 10],
+        3: [13, 14, 15, 16]
+    },
+    
     // timing constants
     TIMING: {
         LED_UPDATE_DELAY: 50,           // ms delay for LED updates after pad press
@@ -101,12 +120,15 @@ MPD218.HARDWARE = {
         STARTUP_ANIMATION_DURATION: 5000, // ms total startup animation time
         FLASH_TEST_DURATION: 1000,      // ms for LED flash test
         ANIMATION_GAP_DURATION: 300,    // ms fixed gap between flashes (all channels)
-        ZOOM_FEEDBACK_DURATION: 4000    // ms to show zoom level on pads
+        ZOOM_FEEDBACK_DURATION: 4000,   // ms to show zoom level on pads
+        LED_FLUSH_INTERVAL: 20          // ms before queued LED changes are written (shortest engine timer)
     },
     
     // limits and ranges
     LIMITS: {
         MAX_HOTCUES: 16,                // maximum hotcue number
+        MAX_SAMPLERS: 16,               // samplers reachable from one pad bank
+        EFFECT_UNITS: 4,                // effect units in [EffectRack1]
         MAX_ZOOM: 100.0,                 // maximum waveform zoom
         MIN_ZOOM: 1.0,                  // minimum waveform zoom
         DECK_COUNT: 4,                  // number of decks
@@ -127,30 +149,61 @@ MPD218.State = {
     // nrpn parameter tracking per channel
     nrpnParams: {},
     
-    // zoom feedback state
-    zoomFeedback: {
-        active: false,
-        deck: null,
-        timer: null,
-        lastLevel: null,
-        currentPadStates: {}    // track which pads are currently lit for zoom feedback
+    // LED overlay layers drawn above the bank state (the base layer), by name:
+    // { priority, opaque, pads (pad note -> LED state), timer, onEnd }
+    ledLayers: {},
+    
+    // beatjump feedback state (its layer lives in ledLayers)
+    beatjumpFeedback: {
+        flashTimers: {}     // deck -> clamp flash timer
+    },
+    
+    // LED output cache: what each pad note shows, and changes waiting for the next flush
+    ledOutput: {
+        sent: {},               // pad note -> velocity last written to the device
+        pending: {},            // pad note -> velocity to write on the next flush
+        flushTimer: null
     },
     
-    // superknob feedback state
-    superknobFeedback: {
-        active: false,
-        deck: null,
+    // blink scheduler state (one shared timer for all blinking pads)
+    blink: {
         timer: null,
-        lastValue: null,
-        currentPadStates: {}    // track which pads are currently lit for superknob feedback
+        ticks: 0,
+        pads: {}                // blinking pad note -> whether it was last drawn lit
+    },
+    
+    // shift layer state
+    shift: {
+        active: false,          // shift layer currently applied to pads
+        heldPad: null,          // pad held as potential modifier ("hold" mode)
+        consumed: false,        // held pad was used as modifier, skip its own action
+        deferred: false,        // held pad's action waits for release
+        timer: null             // delay before showing shift layer ("hold" mode)
     },
     
-    // beatjump rate tracking (per deck)
-    beatjumpRate: {
-        lastTime: {},      // last increment time per deck
-        multiplier: {}     // current jump multiplier per deck
+    // momentary/hold pads currently pressed (note -> action, mode and value to restore)
+    heldPads: {},
+    
+    // gesture tracking per pad note (press time, pending timers)
+    gestures: {},
+    
+    // last press velocity per pad note (for actions that run after the press)
+    padVelocity: {},
+    
+    // momentary velocity targets to restore on release (note -> group, control, value)
+    velocityHolds: {},
+    
+    // scratch encoders: idle timer per deck that releases scratching
+    scratch: {
+        timers: {}
     },
     
+    // superknob centre detent: push accumulated per deck while held at neutral
+    superknobDetent: {},
+    
+    // encoder acceleration tracking per encoder type and deck (last tick time, multiplier)
+    acceleration: {},
+    
     // timer management utilities
     addTimer: function(timerId) {
         if (timerId && this.timers.indexOf(timerId) === -1) {
@@ -175,26 +228,63 @@ MPD218.State = {
             }
         });
         this.timers = [];
+        this.shift.timer = null;
+        this.gestures = {};
+        this.superknobDetent = {};
+        
+        // cleanup LED layer timers separately (the layers go with them)
+        Object.keys(this.ledLayers).forEach(name => {
+            if (this.ledLayers[name].timer) {
+                try {
+                    engine.stopTimer(this.ledLayers[name].timer);
+                } catch (e) {
+                    // ignore timer cleanup errors
+                }
+            }
+        });
+        this.ledLayers = {};
+        
+        // cleanup beatjump flash timers separately
+        Object.values(this.beatjumpFeedback.flashTimers).forEach(timer => {
+            try {
+                engine.stopTimer(timer);
+            } catch (e) {
+                // ignore timer cleanup errors
+            }
+        });
+        this.beatjumpFeedback.flashTimers = {};
         
-        // cleanup zoom feedback timer separately
-        if (this.zoomFeedback.timer) {
+        // cleanup LED flush timer separately (queued LEDs stay queued for an explicit flush)
+        if (this.ledOutput.flushTimer) {
             try {
-                engine.stopTimer(this.zoomFeedback.timer);
+                engine.stopTimer(this.ledOutput.flushTimer);
             } catch (e) {
                 // ignore timer cleanup errors
             }
-            this.zoomFeedback.timer = null;
+            this.ledOutput.flushTimer = null;
         }
         
-        // cleanup superknob feedback timer separately
-        if (this.superknobFeedback.timer) {
+        // cleanup blink scheduler timer separately
+        if (this.blink.timer) {
             try {
-                engine.stopTimer(this.superknobFeedback.timer);
+                engine.stopTimer(this.blink.timer);
             } catch (e) {
                 // ignore timer cleanup errors
             }
-            this.superknobFeedback.timer = null;
+            this.blink.timer = null;
         }
+        this.blink.pads = {};
+        
+        // release decks still scratching
+        Object.keys(this.scratch.timers).forEach(deckNum => {
+            try {
+                engine.stopTimer(this.scratch.timers[deckNum]);
+            } catch (e) {
+                // ignore timer cleanup errors
+            }
+            engine.scratchDisable(parseInt(deckNum));
+        });
+        this.scratch.timers = {};
     }
 };
 
@@ -215,6 +305,30 @@ MPD218.Config = {
         deckOrder: [3, 1, 2, 4],        // standard deck order: 3,1,2,4
         // deckOrder: [1, 2, 3, 4],     // linear deck order: 1,2,3,4
         
+        // bank type per hardware pad bank (A, B, C)
+        // "features", "transport", "hotcues", "samplers", "loops" or "effects"
+        banks: {
+            1: "features",
+            2: "transport",
+            3: "hotcues"
+        },
+        hotcueDeck: 2,                  // deck shown by a "hotcues" bank
+        
+        // loop bank: each deck column from nearest to furthest pad
+        loops: {
+            sizes: [4, 8],              // beatloop_X_toggle sizes (shift = beatloop roll while held)
+            controls: ["loop_halve", "loop_double"]     // remaining pads, e.g. "reloop_toggle" (shift = reloop and stop)
+        },
+        
+        // transport bank: each deck column from nearest to furthest pad
+        // "play", "cue" (cue_default while held), "sync" (blinks while sync leader),
+        // "stop" (back to the cue point and stop, lit while the deck stands still; long press or shift: eject),
+        // "preset_next"/"preset_prev" (step the deck's quick effect preset);
+        // play and cue LEDs follow Mixxx's play/cue indicators
+        transport: {
+            controls: ["play", "cue", "sync", "stop"]
+        },
+        
         // feature row assignment (nearest to furthest from user)
         featureRows: {
             nearest: "bpmlock",         // bottom row (closest to user)
@@ -234,10 +348,55 @@ MPD218.Config = {
         beatgridSpeed: 1.0,             // beatgrid adjustment speed
         
         // jogwheel sensitivity
-        jogwheelSpeed: 1200.0,             // jogwheel scratch speed
+        jogwheelSpeed: 1200.0,             // scratch resolution: encoder ticks per record revolution (lower = faster)
+        
+        // scratch encoders (engine.scratchEnable parameters)
+        scratch: {
+            rpm: 33 + 1/3,                  // virtual record speed
+            alpha: 1/8,                     // scratch filter alpha
+            beta: (1/8) / 32,               // scratch filter beta
+            idleTimeout: 100                // ms without ticks before scratching is released
+        },
+        
+        // superknob centre detent: the superknob sticks at neutral (0.5) until turned past the zone,
+        // snaps back to neutral when turned into the zone (or across the centre), and the meter flashes
+        superknobDetent: {
+            width: 0.02,                    // sticky zone either side of 0.5 (0 turns the detent off)
+            cueDuration: 150                // ms the meter flashes when the superknob lands on neutral
+        },
+        
+        // acceleration while turning fast, curve per encoder type:
+        // "off", "linear" (multiplier grows with turning speed), "stepped" (powers of two)
+        // or "exponential" (like linear but stays fine until turning really fast)
+        acceleration: {
+            fastTime: 50,               // ms between ticks at (or under) which acceleration is at its peak
+            slowTime: 150,              // ms between ticks from which there is no acceleration
+            maxMultiplier: 8,           // largest speed multiplier
+            curves: {
+                zoom: "linear",
+                superknob: "exponential",
+                beatgrid: "linear",
+                beatjump: "stepped",
+                jogwheel: "off",
+                scratch: "off",
+                custom: "off"           // custom encoders can set their own "acceleration"
+            }
+        },
+        
+        // deck encoder type per hardware bank (A, B, C), on the 2x2 deck encoder grid
+        // "superknob", "beatjump", "beatgrid", "jogwheel" (nudge) or "scratch"
+        deckEncoders: {
+            1: "superknob",
+            2: "beatjump",
+            3: "beatgrid"
+        },
         
         // scrub sensitivity (alternative to jogwheel without inertia)
-        scrubSpeed: 0.001                  // direct playposition scrub speed
+        scrubSpeed: 0.001,                 // direct playposition scrub speed
+        
+        // absolute (data entry) encoders: true applies the value once the LSB (CC 38) completes it,
+        // false applies each MSB (CC 6) on its own for encoders that never send an LSB
+        dataEntryLSB: true
     },
     
     // ZOOM FEEDBACK OPTIONS
@@ -247,17 +406,172 @@ MPD218.Config = {
         reverseDirection: true         // reverse zoom encoder direction
     },
     
+    // METER FEEDBACK OPTIONS
+    // encoders show the value they change as a meter on the pads: zoom, superknob and custom
+    // "increment"/"set" encoders (a declaration can pick its style with meter, or turn it off with meter: false)
+    // styles: "fill" (bar from the bottom-left pad), "bipolar" (from the middle of the grid towards
+    //         the value, for controls centred in their range), "center" (every pad lit at the centre,
+    //         going out from the top-right towards the minimum and from the bottom-left towards the maximum),
+    //         "dot" (single pad at the value),
+    //         "column" (bar in the deck's pad column, the other columns keep their normal state so
+    //         several decks can show meters side by side, e.g. superknob: "column" for four filters at once;
+    //         the superknob and controls with a range around 0 grow from the middle of the column)
+    // while a meter shows, its pads act as a fader: tapping one sets the control to that pad's position
+    // (on bipolar and center meters the middle pads return the control to the centre)
+    meterFeedback: {
+        enabled: true,                  // enable/disable meters for custom encoders
+        duration: 4000,                 // ms to show superknob and custom encoder meters
+        styles: {
+            zoom: "fill",
+            superknob: "center",        // the full grid at neutral, emptying as either filter comes in
+            custom: "fill"              // custom encoders with a range around 0 (e.g. -1 to 1) default to "bipolar"
+        }
+    },
+    
+    // BEAT VISUALIZER OPTIONS
+    // each deck's pad column pulses on the beat: the nearest pad inverts on every beat,
+    // the whole column inverts on the downbeat (first beat of each bar); bars are counted on the
+    // track's beatgrid from its first beat, so the phase survives jumps, loops, seeks and track loads
+    beatVisualizer: {
+        enabled: false,                 // enable/disable beat pulsing
+        beatsPerBar: 4,                 // beats per bar for downbeat detection
+        pulseDuration: 100,             // ms a beat pulse lasts
+        downbeatDuration: 200           // ms a downbeat pulse lasts
+    },
+    
+    // BEATJUMP FEEDBACK OPTIONS
+    // while turning a beatjump encoder its deck column shows the jump size
+    // (1, 2, 4, 8+ beats = 1-4 pads), filling away from you for forward jumps
+    // and towards you for backward jumps; the column flashes when a jump hits the track edge
+    beatjumpFeedback: {
+        enabled: true,                  // enable/disable beatjump size visualization
+        duration: 1500,                 // ms to show jump size
+        flashCount: 3,                  // flashes when a jump is clamped to the track start/end
+        flashInterval: 80               // ms per flash on/off step
+    },
+    
+    // QUICK EFFECT PRESET FEEDBACK OPTIONS
+    // whenever a deck's quick effect preset changes, its index shows on the deck's column in binary
+    // (nearest pad = 1, then 2, 4, 8, unset bits stay dim)
+    // stepping presets from the pads: "preset_next"/"preset_prev" transport controls (layout.transport),
+    // "quick_effect_preset" custom pads (customActions.pads), or with a shift mode on an "effects" bank
+    // the two nearest pads of a deck's column (next, previous)
+    quickEffectFeedback: {
+        enabled: true,                  // enable/disable preset index visualization
+        duration: 1500                  // ms to show the preset index
+    },
+    
+    // CUSTOM ACTIONS
+    // declare pad and encoder actions without touching handler code
+    // verbs: "toggle" (flip control), "set" (set control to value), "trigger" (send 1),
+    //        "increment" (add step, clamped to min..max), "quick_effect_preset" (step the quick effect
+    //        preset of the deck in group: direction 1 = next, -1 = previous, no control needed)
+    // led: control whose state lights the pad (defaults to the control itself)
+    customActions: {
+        // pad: position 0-15 from bottom-left to top-right in hardware bank "bank"
+        // optional: value (set), step/min/max (increment), mode, blink (see leds.blink), shift (another declaration)
+        pads: [
+            // { bank: 2, pad: 0, group: "[Master]", control: "maximize_library", verb: "toggle" },
+            // { bank: 2, pad: 1, group: "[Channel1]", control: "rate", verb: "set", value: 0, led: "sync_enabled" },
+            // { bank: 3, pad: 15, group: "[Channel1]", verb: "quick_effect_preset", direction: 1 }
+        ],
+        
+        // channel: MIDI channel (1-16) of the encoder, replaces its built-in mapping
+        // param (optional): NRPN parameter number (0-16383), so several encoders can share a channel
+        // acceleration (optional): curve name from encoders.acceleration
+        // "increment" steps by step per tick (times encoder speed), "trigger" sends
+        // control on increment and controlDown (if given) on decrement
+        // encoders programmed as absolute (data entry) set "increment"/"set" controls across min-max (default 0-1)
+        // meter (optional): pad meter style for "increment"/"set" encoders (see meterFeedback), false for none
+        encoders: [
+            // { channel: 11, group: "[Master]", control: "crossfader", verb: "increment", step: 0.01, min: -1, max: 1 }
+            // { channel: 12, group: "[Channel1]", control: "volume", verb: "set" }
+            // { channel: 12, param: 2, group: "[Channel2]", control: "volume", verb: "set" }
+            // { channel: 11, group: "[EqualizerRack1_[Channel1]_Effect1]", control: "parameter1", verb: "set", min: 0, max: 4, meter: "column" }
+        ]
+    },
+    
+    // SHIFT LAYER
+    shift: {
+        mode: "off",                    // "off", "pad" (dedicated shift pad) or "hold" (hold any pad, taps act on release)
+        pad: 0,                         // shift pad for "pad" mode: position 0-15 from bottom-left to top-right
+        holdDelay: 250,                 // ms a pad must be held before LEDs show the shift layer ("hold" mode)
+        
+        // shifted feature row actions (triggered on the same deck)
+        featureActions: {
+            keylock: "sync_key",
+            bpmlock: "beats_translate_curpos"
+        }
+    },
+    
+    // LED SETTINGS
+    // pad LED brightness follows note velocity, levels: "off", "dim", "medium", "full"
+    leds: {
+        ledBrightness: 1.0,             // global brightness 0.0-1.0 applied to every lit pad
+        outputMode: "both",             // LED messages: "note" (note on/off), "cc" (CC with velocity) or "both"
+        
+        // feature pads light medium when enabled and full when this control is also on for the deck
+        featureLocks: {
+            keylock: "sync_enabled"     // key and tempo both locked
+        },
+        
+        // blinking pads: a mapping's "blink" conditions make it blink while a control is on
+        // ({ control, group (defaults to the pad's deck), rate: "slow", "fast" or "beat" })
+        // e.g. { control: "loop_enabled", rate: "beat" } or { control: "sync_leader", rate: "slow" }
+        blinkRates: {
+            slow: 500,                  // ms per on/off half cycle
+            fast: 150
+        },
+        blinkTick: 50,                  // ms between blink scheduler ticks (beat-synced blinking resolution)
+        blink: {
+            // default conditions per pad type
+            hotcue: [{ control: "end_of_track", rate: "fast" }],
+            sampler: [{ control: "end_of_track", rate: "fast" }]
+        }
+    },
+    
     // SYSTEM SETTINGS
     system: {
         debugEnabled: true              // enable debug logging (set false to reduce console output)
     },
     
-    // INTERACTION SETTINGS (future expansion?)
-    // interaction: {
-    //     bankSwitchMode: "manual",    // "manual", "auto", "momentary"
-    //     padSensitivity: "medium",    // "low", "medium", "high"
-    //     doubleClickTime: 300         // ms for double-click actions
-    // }
+    // INTERACTION SETTINGS
+    interaction: {
+        // pad behavior per action type (a mapping's own "mode" overrides this):
+        // "toggle" acts on press only, "momentary" sets the control while held,
+        // "hold" flips the control while held and restores it on release
+        padModes: {
+            hotcue: "hold",             // hotcue preview while held on a stopped deck
+            bpmlock: "toggle",
+            keylock: "toggle",
+            slip_enabled: "toggle",
+            quantize: "toggle"
+        },
+        
+        // gesture timing
+        doubleClickTime: 300,           // ms between presses for a double tap
+        holdTime: 500,                  // ms a pad must be held for a long press
+        
+        // gestures added by the bank generator
+        gestures: {
+            hotcueLongPress: true,      // long-press a hotcue pad to clear it (shift + hotcue clears it too); with the
+                                        // "hold"/"momentary" hotcue pad modes only while the deck plays, as a held
+                                        // pad on a stopped deck previews the cue
+            featureDoubleTap: true      // double-tap a feature pad to apply it to all four decks
+        },
+        
+        // pad velocity (pads must be set to velocity-sensitive in the MPD218 preset)
+        padSensitivity: "medium",       // "low" (exp curve), "medium" (linear) or "high" (log curve)
+        velocityCurve: null,            // override the preset curve: "linear", "log" or "exp"
+        
+        // velocity targets added by the bank generator
+        velocityTargets: {
+            hotcueVolume: false,        // hotcue pads set deck volume by hit strength while held
+            samplerPregain: false,      // sampler pads set sampler pregain by hit strength
+            effectMix: false            // effect routing pads set the unit's mix by hit strength
+        }
+        // bankSwitchMode: "manual",    // "manual", "auto", "momentary" (future expansion?)
+    }
 };
 
 
@@ -286,11 +600,52 @@ MPD218.LayoutGenerator = {
         MPD218.HARDWARE.PAD_NOTES_BANK3.BOTTOM_ROW
     ],
     
+    // get the physical grid for a hardware pad bank (1 = A, 2 = B, 3 = C)
+    getPhysicalGrid: function(hardwareBank = 1) {
+        switch (hardwareBank) {
+            case 2:
+                return this.PHYSICAL_GRID_BANK2;
+            case 3:
+                return this.PHYSICAL_GRID_BANK3;
+            default:
+                return this.PHYSICAL_GRID;
+        }
+    },
+    
+    // find which hardware pad bank a note belongs to (null if not a pad note)
+    findHardwareBank: function(note) {
+        for (let bank = 1; bank <= MPD218.HARDWARE.LIMITS.MAX_BANKS; bank++) {
+            const grid = this.getPhysicalGrid(bank);
+            if (grid.some(row => row.includes(note))) {
+                return bank;
+            }
+        }
+        return null;
+    },
+    
+    // physical 2x2 deck encoder grid (positions into [back-left, back-right, front-left, front-right])
+    ENCODER_GRID: [
+        [0, 1],     // back row
+        [2, 3]      // front row
+    ],
+    
+    // deck order indices as the user sees the 2x2 encoder grid (after rotation):
+    // left column holds the two left pad columns' decks, right column the two right ones
+    ENCODER_DECK_PATTERN: [
+        [0, 3],
+        [1, 2]
+    ],
+    
     // rotate grid by specified degrees and direction
     rotateGrid: function(grid, degrees, direction = "clockwise") {
         let rotated = grid.map(row => [...row]);  // deep copy
         
-        const rotations = (degrees / 90) % 4;
+        if (degrees % 90 !== 0) {
+            console.log(`❌ rotation ${degrees}° is not a multiple of 90, using 0°`);
+            return rotated;
+        }
+        
+        const rotations = ((degrees / 90) % 4 + 4) % 4;
         const clockwise = direction === "clockwise";
         
         for (let i = 0; i < rotations; i++) {
@@ -323,6 +678,17 @@ MPD218.LayoutGenerator = {
         return rotated;
     },
     
+    // flatten a grid from bottom-left to top-right (bottom row first, left to right)
+    orderBottomLeftToTopRight: function(grid) {
+        const orderedPads = [];
+        for (let row = grid.length - 1; row >= 0; row--) {
+            for (let col = 0; col < grid[row].length; col++) {
+                orderedPads.push(grid[row][col]);
+            }
+        }
+        return orderedPads;
+    },
+    
     // extract channels/decks as stacks of pads (rotation handles orientation preference)
     extractChannels: function(grid, indexOrder, deckOrder) {
         const channels = {};
@@ -339,6 +705,23 @@ MPD218.LayoutGenerator = {
         return channels;
     },
     
+    // deck number for each encoder position, following rotation, index order and deck order
+    // (the same transforms the pad layout uses, so encoders always line up with pad columns)
+    mapEncoderGrid: function(config) {
+        const rotated = this.rotateGrid(this.ENCODER_GRID, config.rotation, config.rotationDirection);
+        const encoderToDeck = [];
+        
+        rotated.forEach((row, rowIndex) => {
+            row.forEach((position, col) => {
+                // descending index order mirrors left-to-right, as extractChannels does for pads
+                const patternCol = config.indexOrder === "ascending" ? col : (row.length - 1 - col);
+                encoderToDeck[position] = config.deckOrder[this.ENCODER_DECK_PATTERN[rowIndex][patternCol]];
+            });
+        });
+        
+        return encoderToDeck;
+    },
+    
     // extract feature rows based on configuration
     extractFeatureRows: function(grid, featureConfig) {
         const features = {};
@@ -358,12 +741,12 @@ MPD218.LayoutGenerator = {
         return features;
     },
     
-    // generate complete layout from configuration
-    generateLayout: function() {
+    // generate complete layout from configuration for one hardware pad bank
+    generateLayout: function(hardwareBank = 1) {
         const config = MPD218.Config.layout;
         // start with physical grid and apply rotation
         const rotatedGrid = this.rotateGrid(
-            this.PHYSICAL_GRID, 
+            this.getPhysicalGrid(hardwareBank), 
             config.rotation, 
             config.rotationDirection
         );
@@ -392,11 +775,131 @@ MPD218.LayoutGenerator = {
             FEATURES: features,
             GRID: rotatedGrid  // for debugging
         };
+    },
+    
+    // generate layouts for all hardware pad banks (same rotation, different notes)
+    generateAllLayouts: function() {
+        const layouts = {};
+        for (let bank = 1; bank <= MPD218.HARDWARE.LIMITS.MAX_BANKS; bank++) {
+            layouts[bank] = this.generateLayout(bank);
+        }
+        return layouts;
     }
 };
 
-// generate the actual layout used by the controller
-MPD218.PadLayout = MPD218.LayoutGenerator.generateLayout();
+// generate the actual layouts used by the controller (one per hardware pad bank)
+MPD218.PadLayouts = MPD218.LayoutGenerator.generateAllLayouts();
+
+// bank A layout, used as the reference layout for channels/features
+MPD218.PadLayout = MPD218.PadLayouts[1];
+
+
+// MARK: CUSTOM ACTIONS
+// turns Config.customActions declarations into pad and encoder mappings
+MPD218.CustomActions = {
+    VERBS: ["toggle", "set", "trigger", "increment", "quick_effect_preset"],
+    
+    // convert a declaration into a pad/encoder action (null if invalid)
+    toAction: function(decl) {
+        // quick effect preset steps act on a deck (group) and need no control
+        if (!decl || typeof decl.group !== "string" || (typeof decl.control !== "string" && decl.verb !== "quick_effect_preset")) {
+            console.log(`❌ custom action needs a group and a control: ${JSON.stringify(decl)}`);
+            return null;
+        }
+        if (this.VERBS.indexOf(decl.verb) === -1) {
+            console.log(`❌ custom action verb must be one of: ${this.VERBS.join(', ')} (${decl.group} ${decl.control})`);
+            return null;
+        }
+        
+        const action = {
+            type: decl.verb,
+            deck: decl.group,
+            control: decl.control,
+            custom: true
+        };
+        
+        // optional fields are only copied when declared so bank defaults still apply
+        ["value", "step", "min", "max", "led", "controlDown", "mode", "blink", "meter", "direction"].forEach(key => {
+            if (decl[key] !== undefined) {
+                action[key] = decl[key];
+            }
+        });
+        if (decl.shift !== undefined) {
+            action.shift = decl.shift ? this.toAction(decl.shift) : null;
+        }
+        
+        return action;
+    },
+    
+    // place declared pads in a generated bank, replacing what was there
+    applyToBank: function(bank, bankNum, layout) {
+        const orderedPads = MPD218.LayoutGenerator.orderBottomLeftToTopRight(layout.GRID);
+        
+        MPD218.Config.customActions.pads.forEach(decl => {
+            if (decl.bank !== bankNum) return;
+            
+            const note = orderedPads[decl.pad];
+            if (note === undefined) {
+                console.log(`❌ custom pad position ${decl.pad} out of range (0-${orderedPads.length - 1})`);
+                return;
+            }
+            
+            const action = this.toAction(decl);
+            if (action) {
+                bank.pads[note] = action;
+            }
+        });
+        
+        return bank;
+    },
+    
+    // encoder mappings keyed by MIDI channel
+    getEncoderMappings: function() {
+        const mappings = {};
+        
+        MPD218.Config.customActions.encoders.forEach(decl => {
+            if (!(decl.channel >= 1 && decl.channel <= MPD218.HARDWARE.LIMITS.MIDI_CHANNELS)) {
+                console.log(`❌ custom encoder channel must be 1-${MPD218.HARDWARE.LIMITS.MIDI_CHANNELS}`);
+                return;
+            }
+            if (decl.param !== undefined && !(Number.isInteger(decl.param) && decl.param >= 0 && decl.param <= MPD218.MIDI.MAX_DATA_ENTRY)) {
+                console.log(`❌ custom encoder NRPN param must be 0-${MPD218.MIDI.MAX_DATA_ENTRY} (channel ${decl.channel})`);
+                return;
+            }
+            if (decl.meter !== undefined && decl.meter !== false && MPD218.LEDManager.METER_STYLES.indexOf(decl.meter) === -1) {
+                console.log(`❌ custom encoder meter must be false or one of: ${MPD218.LEDManager.METER_STYLES.join(', ')} (channel ${decl.channel})`);
+                return;
+            }
+            
+            const action = this.toAction(decl);
+            if (action) {
+                const key = decl.param !== undefined ? `${decl.channel}:${decl.param}` : decl.channel;
+                const acceleration = decl.acceleration || MPD218.Config.encoders.acceleration.curves.custom;
+                mappings[key] = { type: "custom", deck: action.deck, speed: decl.speed || 1.0, acceleration: acceleration, action: action };
+            }
+        });
+        
+        return mappings;
+    },
+    
+    // group/control pairs whose changes should refresh custom pad LEDs
+    getWatchedControls: function() {
+        const watched = [];
+        const add = action => {
+            if (!action || !action.custom || (action.type === "trigger" && !action.led) || !(action.led || action.control)) return;
+            watched.push({ group: action.deck, control: action.led || action.control });
+        };
+        
+        Object.values(MPD218.BankMappings).forEach(bank => {
+            Object.values(bank.pads).forEach(mapping => {
+                add(mapping);
+                add(mapping.shift);
+            });
+        });
+        
+        return watched;
+    }
+};
 
 
 // MARK: BANK MAPPING GENERATOR
@@ -451,170 +954,470 @@ MPD218.BankGenerator = {
         };
     },
     
-    // generate transport control bank (bank 2) using hardware bank 2 notes
-    generateTransportBank: function() {
-        const config = MPD218.Config.layout;
+    // generate sampler bank: pads trigger [Sampler1]-[Sampler16] from bottom-left to top-right
+    generateSamplerBank: function(layout) {
         const pads = {};
+        const orderedPads = MPD218.LayoutGenerator.orderBottomLeftToTopRight(layout.GRID);
         
-        // apply same rotation to bank 2 physical grid
-        const rotatedGrid = MPD218.LayoutGenerator.rotateGrid(
-            MPD218.LayoutGenerator.PHYSICAL_GRID_BANK2,
-            config.rotation,
-            config.rotationDirection
-        );
-        
-        // top row (after rotation) = play all decks
-        const topRow = rotatedGrid[0];
-        topRow.forEach(note => {
+        orderedPads.slice(0, MPD218.HARDWARE.LIMITS.MAX_SAMPLERS).forEach((note, index) => {
+            const sampler = `[Sampler${index + 1}]`;
+            const stop = { type: "trigger", deck: sampler, control: "cue_gotoandstop" };
             pads[note] = {
-                type: "play_all_decks"
+                type: "sampler",
+                deck: sampler,
+                shift: stop,
+                gestures: { tapOnPress: true, longPress: stop }
             };
         });
         
-        // remaining rows: hotcues for channel 1
-        let hotcueNum = 1;
-        for (let row = 1; row < rotatedGrid.length; row++) {
-            for (let col = 0; col < rotatedGrid[row].length; col++) {
-                pads[rotatedGrid[row][col]] = {
-                    type: "hotcue",
-                    deck: `[Channel1]`,
-                    number: hotcueNum++
-                };
-            }
-        }
-        
         return {
-            name: "Transport Controls",
+            name: "Samplers",
             pads: pads
         };
     },
     
-    // generate all bank mappings
-    generateAllBanks: function(layout = MPD218.PadLayout) {
+    // shifted counterparts for loop bank controls
+    LOOP_SHIFT_CONTROLS: {
+        reloop_toggle: "reloop_andstop"
+    },
+    
+    // generate loop bank: each deck column holds beatloop sizes then loop controls
+    generateLoopBank: function(layout) {
+        const pads = {};
+        const config = MPD218.Config.layout.loops;
+        
+        Object.entries(layout.CHANNELS).forEach(([deckNum, column]) => {
+            const deck = `[Channel${deckNum}]`;
+            // columns run top to bottom, loop pads start nearest to the user
+            const columnPads = [...column].reverse();
+            const actions = [];
+            
+            config.sizes.forEach(size => {
+                actions.push({
+                    type: "beatloop",
+                    deck: deck,
+                    size: size,
+                    shift: { type: "trigger", deck: deck, control: `beatlooproll_${size}_activate`, mode: "momentary" }
+                });
+            });
+            
+            config.controls.forEach(control => {
+                const shiftControl = this.LOOP_SHIFT_CONTROLS[control];
+                actions.push({
+                    type: "trigger",
+                    deck: deck,
+                    control: control,
+                    led: "loop_enabled",
+                    shift: shiftControl ? { type: "trigger", deck: deck, control: shiftControl, led: "loop_enabled" } : null
+                });
+            });
+            
+            actions.slice(0, columnPads.length).forEach((action, index) => {
+                pads[columnPads[index]] = action;
+            });
+        });
+        
         return {
-            1: this.generateFeatureBank(layout),
-            2: this.generateTransportBank(),
-            3: this.generateHotcueBank(layout, 2)
+            name: "Loops",
+            pads: pads
         };
-    }
-};
-
-// generate the actual bank mappings used by the controller
-MPD218.BankMappings = MPD218.BankGenerator.generateAllBanks();
-
-// MARK: ENCODER MAPPINGS
-// generator for encoder mappings to avoid duplication
-MPD218.generateEncoderMappings = function() {
-    // get configuration
-    const deckOrder = MPD218.Config.layout.deckOrder;
-    const rotation = MPD218.Config.layout.rotation;
-    const rotationDir = MPD218.Config.layout.rotationDirection;
+    },
     
-    // physical encoder hardware layout (as manufactured, no rotation):
-    // bank 1: MIDI ch 1,2,3,4,5,6 (left to right, top row)
-    // bank 2: MIDI ch 7,8,9,10,11,12 (left to right, bottom row)
-    // bank 3: MIDI ch 13,14,15,16,1,2 (left to right, reuses ch 1-2)
+    // shifted effect bank pads from the nearest one: step the deck's quick effect preset
+    EFFECT_SHIFT_PRESET_STEPS: [1, -1],
     
-    // the 4 deck encoders are in a 2x2 grid:
-    // bank 1 MIDI ch: 3,4 (back row), 5,6 (front row) - positions [0,1,2,3]
-    // bank 2 MIDI ch: 7,8 (back row), 9,10 (front row) - positions [0,1,2,3]
-    // bank 3 MIDI ch: 13,14 (back row), 15,16 (front row) - positions [0,1,2,3]
-    
-    // map 2x2 grid positions to deck indices (like pads)
-    // grid positions: [back-left, back-right, front-left, front-right]
-    // which map to deck order indices: [0, 3, 1, 2] (curved pattern)
-    const gridToDeckIndex = [0, 3, 1, 2];
-    
-    // apply rotation to the grid positions
-    let rotatedGridToDeckIndex;
-    
-    if (rotation === 90 && rotationDir === "counterclockwise") {
-        // 90° CCW: back-left → front-left, back-right → back-left, front-right → back-right, front-left → front-right
-        // original: [0,3,1,2] → rotated: [1,0,2,3]
-        rotatedGridToDeckIndex = [gridToDeckIndex[2], gridToDeckIndex[0], gridToDeckIndex[3], gridToDeckIndex[1]];
-    } else if (rotation === 0) {
-        // no rotation
-        rotatedGridToDeckIndex = gridToDeckIndex;
-    } else if (rotation === 180) {
-        // 180°: reverse all
-        rotatedGridToDeckIndex = [gridToDeckIndex[3], gridToDeckIndex[2], gridToDeckIndex[1], gridToDeckIndex[0]];
-    } else if (rotation === 270 || (rotation === 90 && rotationDir === "clockwise")) {
-        // 90° CW
-        rotatedGridToDeckIndex = [gridToDeckIndex[1], gridToDeckIndex[3], gridToDeckIndex[0], gridToDeckIndex[2]];
-    } else {
-        // fallback
-        rotatedGridToDeckIndex = gridToDeckIndex;
-    }
+    // generate effect routing bank: rows are effect units (unit 1 nearest), columns are decks
+    generateEffectBank: function(layout) {
+        const pads = {};
+        
+        Object.entries(layout.CHANNELS).forEach(([deckNum, column]) => {
+            const deck = `[Channel${deckNum}]`;
+            // columns run top to bottom, effect unit 1 is nearest to the user
+            const columnPads = [...column].reverse();
+            columnPads.slice(0, MPD218.HARDWARE.LIMITS.EFFECT_UNITS).forEach((note, index) => {
+                const presetStep = this.EFFECT_SHIFT_PRESET_STEPS[index];
+                pads[note] = {
+                    type: "toggle",
+                    deck: `[EffectRack1_EffectUnit${index + 1}]`,
+                    control: `group_${deck}_enable`,
+                    shift: presetStep ? { type: "quick_effect_preset", deck: deck, direction: presetStep } : null
+                };
+            });
+        });
+        
+        return {
+            name: "Effect Routing",
+            pads: pads
+        };
+    },
     
-    // map encoder positions to actual decks
-    // encoder positions: [back-left, back-right, front-left, front-right]
-    // for bank 1: MIDI ch 3,4,5,6
-    // for bank 2: MIDI ch 7,8,9,10
-    // for bank 3: MIDI ch 13,14,15,16
-    const encoderToDeck = rotatedGridToDeckIndex.map(idx => deckOrder[idx]);
-    
-    return {
-        // bank 1 - superknob (respects rotation + deck order)
-        1: { type: "zoom", deck: "[Channel1]", speed: MPD218.Config.encoders.zoomFast },
-        2: { type: "zoom", deck: "[Channel1]", speed: MPD218.Config.encoders.zoomSlow },
-        3: { type: "superknob", deck: `[Channel${encoderToDeck[0]}]`, speed: 4.0 },
-        4: { type: "superknob", deck: `[Channel${encoderToDeck[1]}]`, speed: 4.0 },
-        5: { type: "superknob", deck: `[Channel${encoderToDeck[2]}]`, speed: 4.0 },
-        6: { type: "superknob", deck: `[Channel${encoderToDeck[3]}]`, speed: 4.0 },
-        
-        // bank 2 - beatjump (respects rotation + deck order)
-        7: { type: "beatjump", deck: `[Channel${encoderToDeck[0]}]`, speed: 1.0 },
-        8: { type: "beatjump", deck: `[Channel${encoderToDeck[1]}]`, speed: 1.0 },
-        9: { type: "beatjump", deck: `[Channel${encoderToDeck[2]}]`, speed: 1.0 },
-        10: { type: "beatjump", deck: `[Channel${encoderToDeck[3]}]`, speed: 1.0 },
-        
-        // bank 3 - beatgrid (respects rotation + deck order)
-        13: { type: "beatgrid", deck: `[Channel${encoderToDeck[0]}]`, speed: MPD218.Config.encoders.beatgridSpeed },
-        14: { type: "beatgrid", deck: `[Channel${encoderToDeck[1]}]`, speed: MPD218.Config.encoders.beatgridSpeed },
-        15: { type: "beatgrid", deck: `[Channel${encoderToDeck[2]}]`, speed: MPD218.Config.encoders.beatgridSpeed },
-        16: { type: "beatgrid", deck: `[Channel${encoderToDeck[3]}]`, speed: MPD218.Config.encoders.beatgridSpeed }
-        // note: MIDI ch 1,2 (zoom encoders) remain as zoom on all banks
+    // transport pad actions for a deck, by Config.layout.transport control name
+    TRANSPORT_ACTIONS: {
+        play: deck => ({ type: "toggle", deck: deck, control: "play", led: "play_indicator" }),
+        cue: deck => ({ type: "trigger", deck: deck, control: "cue_default", led: "cue_indicator", mode: "momentary" }),
+        sync: deck => ({ type: "toggle", deck: deck, control: "sync_enabled", blink: [{ control: "sync_leader", rate: "slow" }] }),
+        stop: deck => {
+            const eject = { type: "trigger", deck: deck, control: "eject" };
+            return {
+                type: "stop",
+                deck: deck,
+                control: "cue_gotoandstop",
+                led: "play",
+                shift: eject,
+                gestures: { tapOnPress: true, longPress: eject }
+            };
+        },
+        preset_next: deck => ({ type: "quick_effect_preset", deck: deck, direction: 1 }),
+        preset_prev: deck => ({ type: "quick_effect_preset", deck: deck, direction: -1 })
+    },
+    
+    // generate transport bank: each deck column holds the configured transport controls
+    generateTransportBank: function(layout) {
+        const pads = {};
+        const controls = MPD218.Config.layout.transport.controls;
         
-        // RETIRED: playposition scrub system (replaced by beatjump scrub in bank 2)
-        // 13: { type: "scrub", deck: `[Channel${encoderToDeck[0]}]`, speed: MPD218.Config.encoders.scrubSpeed },
-        // 14: { type: "scrub", deck: `[Channel${encoderToDeck[1]}]`, speed: MPD218.Config.encoders.scrubSpeed },
-        // 15: { type: "scrub", deck: `[Channel${encoderToDeck[2]}]`, speed: MPD218.Config.encoders.scrubSpeed },
-        // 16: { type: "scrub", deck: `[Channel${encoderToDeck[3]}]`, speed: MPD218.Config.encoders.scrubSpeed }
-    };
-};
-
-// simple channel-to-function mapping for NRPN encoders
-MPD218.EncoderMappings = MPD218.generateEncoderMappings();
-
-
-// MARK: LED MANAGER
-MPD218.LEDManager = {
-    // turn LED on/off for a specific pad note
-    setPadLED: function(note, state) {
-        try {
-            // use pad channel (9) for LED control
-            const velocity = state ? MPD218.MIDI.LED_ON : MPD218.MIDI.LED_OFF; 
-            const status = state ? (MPD218.MIDI.NOTE_ON + MPD218.MIDI.PAD_CHANNEL) : (MPD218.MIDI.NOTE_OFF + MPD218.MIDI.PAD_CHANNEL);
-            midi.sendShortMsg(status, note, velocity);
-            
-            // also send CC message as backup for LED control
-            if (state) {
-                midi.sendShortMsg(MPD218.MIDI.CC + MPD218.MIDI.PAD_CHANNEL, note, MPD218.MIDI.LED_ON);
+        controls.forEach(control => {
+            if (!this.TRANSPORT_ACTIONS[control]) {
+                console.log(`❌ unknown transport control "${control}" (${Object.keys(this.TRANSPORT_ACTIONS).join(', ')})`);
             }
+        });
+        const actions = controls.filter(control => this.TRANSPORT_ACTIONS[control]);
+        
+        Object.entries(layout.CHANNELS).forEach(([deckNum, column]) => {
+            const deck = `[Channel${deckNum}]`;
+            // columns run top to bottom, transport pads start nearest to the user
+            const columnPads = [...column].reverse();
             
-            if (MPD218.isDebugEnabled()) {
-                console.log(`LED ${state ? 'ON' : 'OFF'}: note 0x${note.toString(16)} status 0x${status.toString(16)} vel ${velocity}`);
+            actions.slice(0, columnPads.length).forEach((control, index) => {
+                pads[columnPads[index]] = this.TRANSPORT_ACTIONS[control](deck);
+            });
+        });
+        
+        return {
+            name: "Transport Controls",
+            pads: pads
+        };
+    },
+    
+    // shifted counterpart of a pad mapping (null if the pad has no shift action)
+    getShiftAction: function(mapping) {
+        switch (mapping.type) {
+            case "hotcue":
+                return { type: "hotcue_clear", deck: mapping.deck, number: mapping.number };
+                
+            default: {
+                const control = MPD218.Config.shift.featureActions[mapping.type];
+                return control ? { type: "trigger", deck: mapping.deck, control: control } : null;
             }
-        } catch (e) {
-            console.log(`❌ MIDI error setting LED for note 0x${note.toString(16)}: ${e.message}`);
         }
     },
     
-    // turn all pad LEDs off (all hardware banks)
-    allPadsOff: function() {
-        // turn off all pads from all three hardware banks
-        const allBanks = [
-            MPD218.HARDWARE.PAD_NOTES,
+    // attach shift actions to every pad that doesn't define its own
+    addShiftActions: function(bank) {
+        Object.values(bank.pads).forEach(mapping => {
+            if (mapping.shift === undefined) {
+                mapping.shift = this.getShiftAction(mapping);
+            }
+        });
+        return bank;
+    },
+    
+    // gesture actions for a pad mapping (null if the pad has none)
+    // tapOnPress keeps the normal action on press, gestures only add to it
+    getGestures: function(mapping) {
+        const config = MPD218.Config.interaction.gestures;
+        const featureTypes = Object.values(MPD218.Config.layout.featureRows);
+        
+        if (mapping.type === "hotcue" && config.hotcueLongPress) {
+            // held hotcue pads preview the cue on a stopped deck, a long press there must not clear it
+            const hotcueMode = mapping.mode || MPD218.Config.interaction.padModes.hotcue || "toggle";
+            return {
+                tapOnPress: true,
+                longPress: { type: "hotcue_clear", deck: mapping.deck, number: mapping.number },
+                longPressWhilePlaying: hotcueMode !== "toggle"
+            };
+        }
+        
+        if (featureTypes.includes(mapping.type) && config.featureDoubleTap) {
+            return {
+                tapOnPress: true,
+                doubleTap: { type: "all_decks", deck: mapping.deck, control: mapping.type }
+            };
+        }
+        
+        return null;
+    },
+    
+    // attach gestures to every pad that doesn't define its own
+    addGestures: function(bank) {
+        Object.values(bank.pads).forEach(mapping => {
+            if (mapping.gestures === undefined) {
+                mapping.gestures = this.getGestures(mapping);
+            }
+        });
+        return bank;
+    },
+    
+    // velocity target for a pad mapping (null if velocity is ignored)
+    // group defaults to the action's deck, the scaled value is min..max
+    getVelocityTarget: function(mapping) {
+        const config = MPD218.Config.interaction.velocityTargets;
+        
+        if (mapping.type === "hotcue" && config.hotcueVolume) {
+            return { control: "volume", min: 0.0, max: 1.0, momentary: true };
+        }
+        
+        if (mapping.type === "sampler" && config.samplerPregain) {
+            return { control: "pregain", min: 0.25, max: 1.0 };
+        }
+        
+        if (mapping.type === "toggle" && mapping.deck.indexOf("[EffectRack1_EffectUnit") === 0 && config.effectMix) {
+            return { control: "mix", min: 0.0, max: 1.0 };
+        }
+        
+        return null;
+    },
+    
+    // attach velocity targets to every pad that doesn't define its own
+    addVelocityTargets: function(bank) {
+        Object.values(bank.pads).forEach(mapping => {
+            if (mapping.velocity === undefined) {
+                mapping.velocity = this.getVelocityTarget(mapping);
+            }
+        });
+        return bank;
+    },
+    
+    // default blink conditions for pad types from Config.leds.blink
+    addBlinkConditions: function(bank) {
+        Object.values(bank.pads).forEach(mapping => {
+            const conditions = MPD218.Config.leds.blink[mapping.type];
+            if (mapping.blink === undefined && conditions) {
+                mapping.blink = conditions;
+            }
+        });
+        return bank;
+    },
+    
+    // add the generated shift actions, gestures, velocity targets and blink conditions to a bank
+    finalizeBank: function(bank) {
+        return this.addBlinkConditions(this.addVelocityTargets(this.addGestures(this.addShiftActions(bank))));
+    },
+    
+    // bank types that can be assigned to a hardware pad bank
+    BANK_TYPES: ["features", "transport", "hotcues", "samplers", "loops", "effects"],
+    
+    // generate one bank of the given type from a hardware bank layout
+    generateBank: function(bankType, layout) {
+        switch (bankType) {
+            case "features":
+                return this.generateFeatureBank(layout);
+            case "transport":
+                return this.generateTransportBank(layout);
+            case "hotcues":
+                return this.generateHotcueBank(layout, MPD218.Config.layout.hotcueDeck);
+            case "samplers":
+                return this.generateSamplerBank(layout);
+            case "loops":
+                return this.generateLoopBank(layout);
+            case "effects":
+                return this.generateEffectBank(layout);
+            default:
+                console.log(`❌ unknown bank type "${bankType}", bank left empty`);
+                return { name: "Empty", pads: {} };
+        }
+    },
+    
+    // generate all bank mappings (bank N uses the notes of hardware pad bank N)
+    generateAllBanks: function(layouts = MPD218.PadLayouts) {
+        const banks = {};
+        for (let bank = 1; bank <= MPD218.HARDWARE.LIMITS.MAX_BANKS; bank++) {
+            const generated = this.generateBank(MPD218.Config.layout.banks[bank], layouts[bank]);
+            banks[bank] = this.finalizeBank(MPD218.CustomActions.applyToBank(generated, bank, layouts[bank]));
+        }
+        return banks;
+    },
+    
+    // check if any hardware bank is assigned the given bank type
+    usesBankType: function(bankType) {
+        return Object.values(MPD218.Config.layout.banks).includes(bankType);
+    }
+};
+
+// generate the actual bank mappings used by the controller
+MPD218.BankMappings = MPD218.BankGenerator.generateAllBanks();
+
+// MARK: ENCODER MAPPINGS
+// deck encoder types selectable per bank in Config.encoders.deckEncoders
+MPD218.DeckEncoderTypes = {
+    // built-in type per bank (fallback for invalid config)
+    DEFAULTS: {
+        1: "superknob",
+        2: "beatjump",
+        3: "beatgrid"
+    },
+    
+    // speed multiplier per type (read from config when mappings are generated)
+    SPEEDS: {
+        superknob: () => 4.0,
+        beatjump: () => 1.0,
+        beatgrid: () => MPD218.Config.encoders.beatgridSpeed,
+        jogwheel: () => 1.0,
+        scratch: () => 1.0
+    },
+    
+    isValid: function(type) {
+        return Object.prototype.hasOwnProperty.call(this.SPEEDS, type);
+    }
+};
+
+// generator for encoder mappings to avoid duplication
+MPD218.generateEncoderMappings = function() {
+    // physical encoder hardware layout (as manufactured, no rotation):
+    // bank 1: MIDI ch 1,2,3,4,5,6 (left to right, top row)
+    // bank 2: MIDI ch 7,8,9,10,11,12 (left to right, bottom row)
+    // bank 3: MIDI ch 13,14,15,16,1,2 (left to right, reuses ch 1-2)
+    
+    // the 4 deck encoders are in a 2x2 grid (see HARDWARE.DECK_ENCODER_CHANNELS),
+    // the 2x2 grid goes through the same rotation and index order as the pads
+    const encoderToDeck = MPD218.LayoutGenerator.mapEncoderGrid(MPD218.Config.layout);
+    const curves = MPD218.Config.encoders.acceleration.curves;
+    
+    const mappings = {
+        // zoom encoders (bank 1)
+        1: { type: "zoom", deck: "[Channel1]", speed: MPD218.Config.encoders.zoomFast, acceleration: curves.zoom },
+        2: { type: "zoom", deck: "[Channel1]", speed: MPD218.Config.encoders.zoomSlow, acceleration: curves.zoom }
+        // note: MIDI ch 1,2 (zoom encoders) remain as zoom on all banks
+        
+        // RETIRED: playposition scrub system (replaced by beatjump scrub in bank 2)
+        // 13: { type: "scrub", deck: `[Channel${encoderToDeck[0]}]`, speed: MPD218.Config.encoders.scrubSpeed },
+        // 14: { type: "scrub", deck: `[Channel${encoderToDeck[1]}]`, speed: MPD218.Config.encoders.scrubSpeed },
+        // 15: { type: "scrub", deck: `[Channel${encoderToDeck[2]}]`, speed: MPD218.Config.encoders.scrubSpeed },
+        // 16: { type: "scrub", deck: `[Channel${encoderToDeck[3]}]`, speed: MPD218.Config.encoders.scrubSpeed }
+    };
+    
+    // deck encoders per bank (type from Config.encoders.deckEncoders, respects rotation + deck order)
+    const types = MPD218.DeckEncoderTypes;
+    Object.entries(MPD218.HARDWARE.DECK_ENCODER_CHANNELS).forEach(([bankNum, channels]) => {
+        let type = MPD218.Config.encoders.deckEncoders[bankNum];
+        if (!types.isValid(type)) {
+            console.log(`❌ unknown deck encoder type "${type}" for bank ${bankNum}, using ${types.DEFAULTS[bankNum]}`);
+            type = types.DEFAULTS[bankNum];
+        }
+        
+        channels.forEach((channel, position) => {
+            mappings[channel] = { type: type, deck: `[Channel${encoderToDeck[position]}]`, speed: types.SPEEDS[type](), acceleration: curves[type] };
+        });
+    });
+    
+    // custom encoder actions replace the built-in mapping on their channel
+    return Object.assign(mappings, MPD218.CustomActions.getEncoderMappings());
+};
+
+// NRPN encoder mappings keyed by "channel:param" for one NRPN parameter,
+// or by channel alone for any parameter (or none) selected on that channel
+MPD218.EncoderMappings = MPD218.generateEncoderMappings();
+
+
+// MARK: LED MANAGER
+MPD218.LEDManager = {
+    // named brightness levels (note velocities)
+    LEVELS: {
+        off: MPD218.MIDI.LED_OFF,
+        dim: MPD218.MIDI.LED_DIM,
+        medium: MPD218.MIDI.LED_MEDIUM,
+        full: MPD218.MIDI.LED_ON
+    },
+    
+    // velocity for a pad state: true/false, a level name or a raw velocity,
+    // scaled by the global ledBrightness (a lit pad never scales down to off)
+    getVelocity: function(state) {
+        let velocity;
+        if (state === true) {
+            velocity = this.LEVELS.full;
+        } else if (typeof state === "string") {
+            velocity = this.LEVELS[state] !== undefined ? this.LEVELS[state] : this.LEVELS.full;
+        } else {
+            velocity = state || MPD218.MIDI.LED_OFF;
+        }
+        
+        if (velocity <= 0) return MPD218.MIDI.LED_OFF;
+        const scaled = Math.round(velocity * MPD218.Config.leds.ledBrightness);
+        return Math.max(1, Math.min(MPD218.MIDI.MAX_VELOCITY, scaled));
+    },
+    
+    // turn LED on/off for a specific pad note
+    // state: true/false, a level name ("dim", "medium", "full") or a velocity
+    // changes are queued and written together on the next flush, unchanged LEDs are dropped
+    setPadLED: function(note, state) {
+        const velocity = this.getVelocity(state);
+        const output = MPD218.State.ledOutput;
+        
+        if (output.pending[note] === undefined && output.sent[note] === velocity) return;
+        output.pending[note] = velocity;
+        
+        if (!output.flushTimer) {
+            output.flushTimer = engine.beginTimer(MPD218.HARDWARE.TIMING.LED_FLUSH_INTERVAL, () => {
+                output.flushTimer = null;
+                this.flushLEDs();
+            }, true);
+        }
+    },
+    
+    // write queued LED changes to the device now
+    flushLEDs: function() {
+        const output = MPD218.State.ledOutput;
+        if (output.flushTimer) {
+            engine.stopTimer(output.flushTimer);
+            output.flushTimer = null;
+        }
+        
+        const pending = output.pending;
+        output.pending = {};
+        Object.keys(pending).forEach(noteKey => {
+            const note = parseInt(noteKey);
+            // skip LEDs that changed back before the flush
+            if (output.sent[note] === pending[noteKey]) return;
+            
+            this.writePadLED(note, pending[noteKey]);
+            output.sent[note] = pending[noteKey];
+        });
+    },
+    
+    // forget what the pads show, so the next write of every LED goes out (device state unknown)
+    resetLEDCache: function() {
+        MPD218.State.ledOutput.sent = {};
+    },
+    
+    // send one pad LED to the device using the configured output mode
+    writePadLED: function(note, velocity) {
+        try {
+            const mode = MPD218.Config.leds.outputMode;
+            
+            // use pad channel (9) for LED control
+            const status = velocity > 0 ? (MPD218.MIDI.NOTE_ON + MPD218.MIDI.PAD_CHANNEL) : (MPD218.MIDI.NOTE_OFF + MPD218.MIDI.PAD_CHANNEL);
+            if (mode !== "cc") {
+                midi.sendShortMsg(status, note, velocity);
+            }
+            
+            // CC with the velocity, on its own or as backup for LED control
+            if (mode === "cc" || (mode !== "note" && velocity > 0)) {
+                midi.sendShortMsg(MPD218.MIDI.CC + MPD218.MIDI.PAD_CHANNEL, note, velocity);
+            }
+            
+            if (MPD218.isDebugEnabled()) {
+                console.log(`LED ${velocity > 0 ? 'ON' : 'OFF'}: note 0x${note.toString(16)} status 0x${status.toString(16)} vel ${velocity} (${mode})`);
+            }
+        } catch (e) {
+            console.log(`❌ MIDI error setting LED for note 0x${note.toString(16)}: ${e.message}`);
+        }
+    },
+    
+    // turn all pad LEDs off (all hardware banks)
+    allPadsOff: function() {
+        // turn off all pads from all three hardware banks
+        const allBanks = [
+            MPD218.HARDWARE.PAD_NOTES,
             MPD218.HARDWARE.PAD_NOTES_BANK2,
             MPD218.HARDWARE.PAD_NOTES_BANK3
         ];
@@ -642,341 +1445,1030 @@ MPD218.LEDManager = {
         }
         
         if (MPD218.isDebugEnabled()) {
-            console.log(`🔄 syncing LEDs for bank ${MPD218.State.currentBank} (${currentBank.name})`);
+            console.log(`🔄 syncing LEDs for bank ${MPD218.State.currentBank} (${currentBank.name})${MPD218.State.shift.active ? ' [shift]' : ''}`);
         }
         
-        Object.entries(currentBank.pads).forEach(([note, mapping]) => {
-            const noteNum = parseInt(note);
-            let state = false;
-            
-            if (mapping.type === "hotcue") {
-                state = engine.getValue(mapping.deck, `hotcue_${mapping.number}_status`) > 0;
-            } else if (mapping.type === "play_all_decks") {
-                // check if all decks are playing
-                state = true;
-                for (let i = 1; i <= MPD218.HARDWARE.LIMITS.DECK_COUNT; i++) {
-                    if (!engine.getValue(`[Channel${i}]`, "play")) {
-                        state = false;
-                        break;
-                    }
-                }
-            } else {
-                // feature toggle (bpmlock, keylock, etc.)
-                state = engine.getValue(mapping.deck, mapping.type) > 0;
-            }
-            
-            if (MPD218.isDebugEnabled()) {
-                console.log(`LED sync: 0x${noteNum.toString(16)} (${mapping.deck} ${mapping.type}) = ${state}`);
-            }
-            
-            this.setPadLED(noteNum, state);
-        });
+        // blinking pads register again while syncing
+        MPD218.State.blink.pads = {};
+        
+        this.render();
         
         if (MPD218.isDebugEnabled()) {
             console.log("✅ LED sync complete");
         }
     },
     
-    // zoom level feedback on all 16 pads
-    showZoomFeedback: function(deck, zoomLevel) {
-        // calculate zoom level (0-15 for 16 pads) first to check if update needed
-        const normalizedZoom = (zoomLevel - MPD218.HARDWARE.LIMITS.MIN_ZOOM) / 
-                              (MPD218.HARDWARE.LIMITS.MAX_ZOOM - MPD218.HARDWARE.LIMITS.MIN_ZOOM);
-        const zoomSteps = Math.floor(normalizedZoom * 16);
-        const clampedSteps = Math.max(0, Math.min(15, zoomSteps));
-        
-        // if this is the same level as last time, just reset the timer to avoid flicker
-        if (MPD218.State.zoomFeedback.active && 
-            MPD218.State.zoomFeedback.lastLevel === clampedSteps &&
-            MPD218.State.zoomFeedback.deck === deck) {
-            
-            // just reset the timeout without changing LEDs
-            if (MPD218.State.zoomFeedback.timer) {
-                engine.stopTimer(MPD218.State.zoomFeedback.timer);
+    // LED state for a pad mapping, read from the engine (false/true or a brightness level name)
+    getMappingState: function(mapping) {
+        switch (mapping.type) {
+            case "hotcue": {
+                // medium when set, full while active (playing or previewing from it)
+                const status = engine.getValue(mapping.deck, `hotcue_${mapping.number}_status`);
+                if (status <= 0) return false;
+                return status > 1 ? "full" : "medium";
             }
-            const feedbackDuration = MPD218.Config.zoomFeedback.duration || MPD218.HARDWARE.TIMING.ZOOM_FEEDBACK_DURATION;
-            MPD218.State.zoomFeedback.timer = engine.beginTimer(feedbackDuration, () => {
-                this.endZoomFeedback();
+                
+            case "hotcue_clear":
+                return engine.getValue(mapping.deck, `hotcue_${mapping.number}_status`) > 0;
+                
+            case "sampler":
+                // full while playing, dim when a sample is loaded
+                if (engine.getValue(mapping.deck, "play") > 0) return "full";
+                return engine.getValue(mapping.deck, "track_loaded") > 0 ? "dim" : false;
+                
+            case "beatloop":
+                return engine.getValue(mapping.deck, `beatloop_${mapping.size}_enabled`) > 0;
+                
+            case "toggle":
+                return engine.getValue(mapping.deck, mapping.led || mapping.control) > 0;
+                
+            case "set":
+                // lit while the control holds the value (or the led control is on)
+                if (mapping.led) return engine.getValue(mapping.deck, mapping.led) > 0;
+                return engine.getValue(mapping.deck, mapping.control) === mapping.value;
+                
+            case "increment":
+                return mapping.led ? engine.getValue(mapping.deck, mapping.led) > 0 : true;
+                
+            case "trigger":
+                // one-shot controls show their led control, or light up to show they're available
+                return mapping.led ? engine.getValue(mapping.deck, mapping.led) > 0 : true;
+                
+            case "quick_effect_preset":
+                return true;
+                
+            case "stop":
+                // lit while the deck stands still, the counterpart of the play pad
+                return engine.getValue(mapping.deck, mapping.led) <= 0;
+                
+            default: {
+                // feature toggle (bpmlock, keylock, etc.), medium/full when it has a lock control
+                if (engine.getValue(mapping.deck, mapping.type) <= 0) return false;
+                const lock = MPD218.Config.leds.featureLocks[mapping.type];
+                if (!lock) return "full";
+                return engine.getValue(mapping.deck, lock) > 0 ? "full" : "medium";
+            }
+        }
+    },
+    
+    // overlay layer priorities, higher layers cover lower ones
+    // (feedback overlays share one priority so the latest interaction shows on top)
+    LAYER_PRIORITY: {
+        pulse: 10,
+        feedback: 20,
+        cue: 30                         // short cues drawn over feedback (superknob detent)
+    },
+    
+    // show an overlay layer above the bank state, replacing any layer of the same name
+    // options: priority, opaque (pads the layer leaves out show off), duration (ms until it expires), onEnd,
+    //          onPress (pad presses while the layer owns the grid, see Controllers.handlePad)
+    showLayer: function(name, pads, options) {
+        const layers = MPD218.State.ledLayers;
+        const previous = layers[name];
+        if (previous && previous.timer) {
+            engine.stopTimer(previous.timer);
+        }
+        
+        const layer = {
+            priority: options.priority || 0,
+            opaque: !!options.opaque,
+            pads: pads,
+            timer: null,
+            onEnd: options.onEnd || null,
+            onPress: options.onPress || null
+        };
+        if (options.duration) {
+            layer.timer = engine.beginTimer(options.duration, () => {
+                layer.timer = null;
+                this.clearLayer(name);
             }, true);
-            
-            if (MPD218.isDebugEnabled()) {
-                console.log(`🔍 zoom feedback: same level ${clampedSteps}, timer reset (no flicker)`);
+        }
+        
+        // re-adding moves the layer above others of the same priority
+        delete layers[name];
+        layers[name] = layer;
+        this.render();
+    },
+    
+    // change what a layer shows without restarting its timeout
+    updateLayer: function(name, pads) {
+        const layer = MPD218.State.ledLayers[name];
+        if (!layer) return;
+        
+        layer.pads = pads;
+        this.render();
+    },
+    
+    // remove a layer, whatever it covered shows again
+    clearLayer: function(name) {
+        const layer = MPD218.State.ledLayers[name];
+        if (!layer) return;
+        
+        if (layer.timer) {
+            engine.stopTimer(layer.timer);
+        }
+        delete MPD218.State.ledLayers[name];
+        if (layer.onEnd) {
+            layer.onEnd();
+        }
+        this.render();
+        
+        if (MPD218.isDebugEnabled()) {
+            console.log(`🧱 LED layer ${name} ended`);
+        }
+    },
+    
+    // drop every overlay without redrawing (callers resync, e.g. after a bank change)
+    clearLayers: function() {
+        const layers = MPD218.State.ledLayers;
+        MPD218.State.ledLayers = {};
+        
+        Object.values(layers).forEach(layer => {
+            if (layer.timer) {
+                engine.stopTimer(layer.timer);
+            }
+            if (layer.onEnd) {
+                layer.onEnd();
             }
+        });
+    },
+    
+    hasLayer: function(name) {
+        return !!MPD218.State.ledLayers[name];
+    },
+    
+    // topmost layer covering a pad (null when the bank state shows)
+    getTopLayer: function(note) {
+        let top = null;
+        Object.values(MPD218.State.ledLayers).forEach(layer => {
+            const covers = layer.opaque || layer.pads[note] !== undefined;
+            if (covers && (!top || layer.priority >= top.priority)) {
+                top = layer;
+            }
+        });
+        return top;
+    },
+    
+    // name of the topmost opaque layer (a feedback overlay owning the grid), or null
+    getFeedbackLayer: function() {
+        let top = null;
+        Object.keys(MPD218.State.ledLayers).forEach(name => {
+            const layer = MPD218.State.ledLayers[name];
+            if (layer.opaque && (!top || layer.priority >= MPD218.State.ledLayers[top].priority)) {
+                top = name;
+            }
+        });
+        return top;
+    },
+    
+    // a feedback overlay (zoom or superknob meter) currently owns the pads
+    isFeedbackActive: function() {
+        return this.getFeedbackLayer() !== null;
+    },
+    
+    // draw the visible frame of the active bank: each pad shows its topmost layer, or the bank state
+    // (unchanged pads are dropped by the LED cache, so redrawing everything doesn't flicker)
+    render: function() {
+        MPD218.Utils.getActiveLayout().NOTES.forEach(note => {
+            this.updatePadLED(note);
+        });
+    },
+    
+    // normal LED state of a pad in the current bank, honouring the shift layer
+    getPadState: function(note) {
+        if (MPD218.ShiftManager.isShiftPad(note)) {
+            return MPD218.State.shift.active;
+        }
+        
+        const mapping = MPD218.Utils.getPadMapping(note);
+        if (!mapping) return false;
+        
+        const action = MPD218.ShiftManager.resolveAction(mapping);
+        const state = action ? this.getMappingState(action) : false;
+        
+        if (MPD218.isDebugEnabled()) {
+            console.log(`LED sync: 0x${note.toString(16)} (${action ? `${action.deck || ''} ${action.type}` : 'no shift action'}) = ${state}`);
+        }
+        return state;
+    },
+    
+    // update a single pad LED in the current bank
+    updatePadLED: function(note) {
+        // overlays cover the bank state (and its blinking) until they end
+        const layer = this.getTopLayer(note);
+        if (layer) {
+            this.untrackBlink(note);
+            this.setPadLED(note, layer.pads[note] !== undefined ? layer.pads[note] : false);
             return;
         }
         
-        // clear any existing zoom feedback timer
-        if (MPD218.State.zoomFeedback.timer) {
-            engine.stopTimer(MPD218.State.zoomFeedback.timer);
+        let state = this.getPadState(note);
+        
+        // blinking pads alternate between their state (dim if unlit) and off
+        const blink = this.getPadBlink(note);
+        if (blink) {
+            const lit = this.isBlinkOn(blink);
+            this.trackBlink(note, lit);
+            state = lit ? (state || "dim") : false;
+        } else {
+            this.untrackBlink(note);
         }
         
-        // set zoom feedback state
-        MPD218.State.zoomFeedback.active = true;
-        MPD218.State.zoomFeedback.deck = deck;
-        MPD218.State.zoomFeedback.lastLevel = clampedSteps;
+        this.setPadLED(note, state);
+    },
+    
+    // first blink condition of a pad's current action that holds (null when not blinking)
+    getPadBlink: function(note) {
+        if (MPD218.ShiftManager.isShiftPad(note)) return null;
         
-        // get pad order from bottom-left to top-right
-        const orderedPads = this.getBottomLeftToTopRightOrder();
+        const mapping = MPD218.Utils.getPadMapping(note);
+        const action = mapping ? MPD218.ShiftManager.resolveAction(mapping) : null;
+        if (!action || !action.blink) return null;
+        
+        for (const condition of [].concat(action.blink)) {
+            const group = condition.group || action.deck;
+            if (engine.getValue(group, condition.control) > 0) {
+                return { rate: condition.rate || "slow", group: group };
+            }
+        }
+        return null;
+    },
+    
+    // whether a blink is in the lit half of its cycle
+    isBlinkOn: function(blink) {
+        if (blink.rate === "beat") {
+            // lit for the first half of each beat of the blinking group
+            return engine.getValue(blink.group, "beat_distance") < 0.5;
+        }
+        
+        const rates = MPD218.Config.leds.blinkRates;
+        const halfCycle = rates[blink.rate] || rates.slow;
+        const elapsed = MPD218.State.blink.ticks * MPD218.Config.leds.blinkTick;
+        return Math.floor(elapsed / halfCycle) % 2 === 0;
+    },
+    
+    // remember a blinking pad and make sure the shared timer runs
+    trackBlink: function(note, lit) {
+        const blink = MPD218.State.blink;
+        blink.pads[note] = lit;
+        
+        if (!blink.timer) {
+            blink.ticks = 0;
+            blink.timer = engine.beginTimer(MPD218.Config.leds.blinkTick, () => this.blinkTick());
+        }
+    },
+    
+    untrackBlink: function(note) {
+        delete MPD218.State.blink.pads[note];
+    },
+    
+    // shared blink timer: redraw pads whose blink phase changed, stop when nothing blinks
+    blinkTick: function() {
+        const blink = MPD218.State.blink;
+        blink.ticks++;
+        
+        Object.keys(blink.pads).forEach(noteKey => {
+            const note = parseInt(noteKey);
+            const padBlink = this.getPadBlink(note);
+            if (!padBlink || this.isBlinkOn(padBlink) !== blink.pads[note]) {
+                this.updatePadLED(note);
+            }
+        });
+        
+        if (Object.keys(blink.pads).length === 0) {
+            engine.stopTimer(blink.timer);
+            blink.timer = null;
+        }
+    },
+    
+    METER_STYLES: ["fill", "bipolar", "center", "dot", "column"],
+    
+    // show a control's value as a meter overlay
+    // meter: min/max (range, default 0-1), style (METER_STYLES), deck (group whose pad column
+    //        the "column" style uses), centered (control rests in the middle of its range, so a
+    //        column meter grows from the middle of the column), name (layer, default "meter"), duration (ms)
+    // value is read from the engine unless given
+    showMeter: function(group, control, meter, value) {
+        const min = meter.min !== undefined ? meter.min : 0;
+        const max = meter.max !== undefined ? meter.max : 1;
+        if (value === undefined) {
+            value = engine.getValue(group, control);
+        }
+        
+        // position of the value in its range, 0-1
+        const position = max > min ? Math.max(0, Math.min(1, (value - min) / (max - min))) : 0;
+        const pads = this.getMeterPads(position, meter.style, meter.deck, meter.centered);
+        
+        // column meters only cover their deck's column (one layer per deck), so several decks
+        // can show theirs side by side while the other columns keep their normal state
+        const column = meter.style === "column" ? this.getMeterColumn(meter.deck) : null;
+        const name = column ? `${meter.name || "meter"} ${this.getMeterDeck(meter.deck)}` : (meter.name || "meter");
+        
+        if (MPD218.isDebugEnabled()) {
+            const lit = Object.keys(pads).filter(note => pads[note] && pads[note] !== "dim").length;
+            console.log(`📊 ${name} meter: ${group} ${control} = ${value.toFixed(3)} (${meter.style}, ${lit} pads)`);
+        }
+        
+        // grid meters are opaque: the other pads show off until it expires; tapping a meter pad sets the control
+        this.showLayer(name, pads, {
+            priority: this.LAYER_PRIORITY.feedback,
+            opaque: !column,
+            duration: meter.duration || MPD218.Config.meterFeedback.duration,
+            onPress: note => this.pressMeter(group, control, meter, note)
+        });
+    },
+    
+    // while a meter is visible its pads act as a fader: a tap sets the control to that pad's position
+    pressMeter: function(group, control, meter, note) {
+        const position = this.getMeterPosition(note, meter.style, meter.deck, meter.centered);
+        if (position === null) return;    // pad outside a column meter
+        
+        const min = meter.min !== undefined ? meter.min : 0;
+        const max = meter.max !== undefined ? meter.max : 1;
+        const value = min + position * (max - min);
+        
+        // a jump, not a turn: don't let soft takeover hold it back
+        engine.softTakeoverIgnoreNextValue(group, control);
+        engine.setValue(group, control, value);
         
         if (MPD218.isDebugEnabled()) {
-            console.log(`🔍 zoom feedback: ${zoomLevel.toFixed(2)} -> ${clampedSteps + 1}/16 pads (${orderedPads.length} available)`);
+            console.log(`📊 meter tap: 0x${note.toString(16)} -> ${group} ${control} = ${value.toFixed(3)}`);
         }
         
-        // on first activation, clear all pads once to override feature LEDs
-        if (Object.keys(MPD218.State.zoomFeedback.currentPadStates).length === 0) {
-            this.allPadsOff();
+        // redraw with the new value and keep the meter up
+        this.showMeter(group, control, meter);
+    },
+    
+    // position (0-1) a meter pad stands for, null for pads outside a column meter
+    getMeterPosition: function(note, style, deck, centered) {
+        // like getMeterPads, column meters without a deck column span the grid
+        const column = style === "column" ? this.getMeterColumn(deck) : null;
+        const order = column || this.getBottomLeftToTopRightOrder();
+        
+        const index = order.indexOf(note);
+        if (index === -1) return null;
+        const count = order.length;
+        
+        if (style === "column") {
+            style = centered ? "bipolar" : "fill";
         }
         
-        // calculate which pads should be lit
-        const targetPadStates = {};
-        for (let i = 0; i <= clampedSteps && i < orderedPads.length; i++) {
-            targetPadStates[orderedPads[i]] = true;
+        if (style === "bipolar" || style === "center") {
+            // the middle pads return to the centre
+            if (index === Math.ceil(count / 2) - 1 || index === Math.floor(count / 2)) return 0.5;
+            
+            if (style === "center") {
+                // the inverse of getMeterIndexes: the bar runs from its end of the grid up to the tapped pad
+                return index < count / 2 ? (index + 1) / (2 * count) : 1 - (count - index) / (2 * count);
+            }
+            
+            // the others stretch the bar to themselves
+            return index < count / 2 ? index / count : (index + 1) / count;
         }
         
-        // get current zoom feedback pad states
-        const currentStates = MPD218.State.zoomFeedback.currentPadStates;
+        // fill and dot: first pad is the minimum, last pad the maximum
+        return count > 1 ? index / (count - 1) : 1;
+    },
+    
+    // deck ("[ChannelN]") a meter's deck or control group belongs to, null if none
+    getMeterDeck: function(group) {
+        const deckMatch = group ? group.match(/\[Channel(\d+)\]/) : null;
+        return deckMatch ? deckMatch[0] : null;
+    },
+    
+    // a deck's pad column from the nearest pad to the furthest (null if the deck has none)
+    getMeterColumn: function(deck) {
+        const meterDeck = this.getMeterDeck(deck);
+        const column = meterDeck ? MPD218.Utils.getActiveLayout().CHANNELS[parseInt(meterDeck.match(/\d+/)[0])] : null;
         
-        // differential update - only change pads that need to change
-        // first, turn off pads that should no longer be lit
-        Object.keys(currentStates).forEach(noteHex => {
-            const note = parseInt(noteHex);
-            if (currentStates[noteHex] && !targetPadStates[note]) {
-                this.setPadLED(note, false);
-                delete currentStates[noteHex];
-                if (MPD218.isDebugEnabled()) {
-                    console.log(`  turned off pad 0x${note.toString(16)}`);
-                }
+        // columns run from the furthest pad to the nearest one
+        return column ? [...column].reverse() : null;
+    },
+    
+    // pads a meter lights at a position (0-1), across the grid or in a deck's column
+    getMeterPads: function(position, style, deck, centered) {
+        const pads = {};
+        
+        if (style === "column") {
+            // centred controls grow from the middle of the column, others fill from the nearest pad
+            const columnStyle = centered ? "bipolar" : "fill";
+            const fillOrder = this.getMeterColumn(deck);
+            if (fillOrder) {
+                // the rest of the column stays dim so the deck is recognisable
+                fillOrder.forEach(note => {
+                    pads[note] = "dim";
+                });
+                this.getMeterIndexes(position, columnStyle, fillOrder.length).forEach(index => {
+                    pads[fillOrder[index]] = "full";
+                });
+                return pads;
             }
+            // controls without a deck column fall back to a bar across the grid
+            style = columnStyle;
+        }
+        
+        const orderedPads = this.getBottomLeftToTopRightOrder();
+        this.getMeterIndexes(position, style, orderedPads.length).forEach(index => {
+            pads[orderedPads[index]] = true;
         });
+        return pads;
+    },
+    
+    // indexes (0 to count-1) a meter style lights at a position (0-1)
+    getMeterIndexes: function(position, style, count) {
+        const indexes = [];
         
-        // then, turn on pads that should now be lit
-        Object.keys(targetPadStates).forEach(note => {
-            const noteNum = parseInt(note);
-            const noteHex = noteNum.toString();
-            if (!currentStates[noteHex]) {
-                this.setPadLED(noteNum, true);
-                currentStates[noteHex] = true;
-                if (MPD218.isDebugEnabled()) {
-                    console.log(`  turned on pad 0x${noteNum.toString(16)}`);
+        switch (style) {
+            case "dot":
+                indexes.push(Math.round(position * (count - 1)));
+                break;
+                
+            case "bipolar": {
+                // pads between the middle and the value, both middle pads at the centre
+                const value = position * count;
+                const center = count / 2;
+                const low = Math.min(value, center);
+                const high = Math.max(value, center);
+                for (let i = 0; i < count; i++) {
+                    if (i < high && i + 1 > low) {
+                        indexes.push(i);
+                    }
+                }
+                if (indexes.length === 0) {
+                    indexes.push(Math.ceil(center) - 1, Math.floor(center));
+                }
+                break;
+            }
+                
+            case "center": {
+                // every pad at the centre, pads go out from the far end as the value moves away:
+                // towards the minimum the bar shrinks back to the first pad, towards the maximum to the last,
+                // so both ends of the range show an empty meter
+                const litPads = Math.round((1 - Math.abs(position - 0.5) * 2) * count);
+                const first = position < 0.5 ? 0 : count - litPads;
+                for (let i = first; i < first + litPads; i++) {
+                    indexes.push(i);
+                }
+                break;
+            }
+                
+            default: {
+                // fill: the first pad always lights so the meter stays visible
+                const litPads = Math.min(count, Math.floor(position * count) + 1);
+                for (let i = 0; i < litPads; i++) {
+                    indexes.push(i);
                 }
+                break;
             }
+        }
+        
+        return indexes;
+    },
+    
+    // get pad order from bottom-left to top-right 
+    getBottomLeftToTopRightOrder: function() {
+        // this depends on the current rotation and the active hardware bank
+        return MPD218.LayoutGenerator.orderBottomLeftToTopRight(MPD218.Utils.getActiveLayout().GRID);
+    },
+    
+    // zoom level meter
+    showZoomFeedback: function(deck, zoomLevel) {
+        this.showMeter(deck, "waveform_zoom", {
+            min: MPD218.HARDWARE.LIMITS.MIN_ZOOM,
+            max: MPD218.HARDWARE.LIMITS.MAX_ZOOM,
+            style: MPD218.Config.meterFeedback.styles.zoom,
+            deck: deck,
+            name: "zoom",
+            duration: MPD218.Config.zoomFeedback.duration || MPD218.HARDWARE.TIMING.ZOOM_FEEDBACK_DURATION
+        }, zoomLevel);
+    },
+    
+    // superknob meter: 0.0 = full lpf, 0.5 = neutral, 1.0 = full hpf
+    showSuperknobFeedback: function(deck, superknobValue) {
+        this.showMeter(`[QuickEffectRack1_${deck}]`, "super1", {
+            min: 0,
+            max: 1,
+            style: MPD218.Config.meterFeedback.styles.superknob,
+            deck: deck,
+            centered: true,
+            name: "superknob"
+        }, superknobValue);
+    },
+    
+    // beatjump size and direction in the turned deck's column, flashing if the jump was clamped;
+    // like column meters it only covers that column, the other pads keep working
+    showBeatjumpFeedback: function(deck, beatSize, direction, clamped) {
+        if (!MPD218.Config.beatjumpFeedback.enabled) return;
+        
+        const deckNum = parseInt(deck.match(/\d+/)[0]);
+        const column = MPD218.Utils.getActiveLayout().CHANNELS[deckNum];
+        if (!column) return;    // deck has no column on the pads
+        
+        this.stopBeatjumpFlash(deck);
+        
+        if (MPD218.isDebugEnabled()) {
+            console.log(`⏩ beatjump feedback: ${deck} ${direction > 0 ? '+' : '-'}${beatSize} beats${clamped ? ' (clamped)' : ''}`);
+        }
+        
+        const pads = this.getBeatjumpPads(column, beatSize, direction);
+        this.showLayer(`beatjump ${deck}`, clamped ? this.getColumnPads(column, true) : pads, {
+            priority: this.LAYER_PRIORITY.feedback,
+            duration: MPD218.Config.beatjumpFeedback.duration,
+            onEnd: () => this.stopBeatjumpFlash(deck)
         });
         
-        // schedule return to normal after timeout
-        const feedbackDuration = MPD218.Config.zoomFeedback.duration || MPD218.HARDWARE.TIMING.ZOOM_FEEDBACK_DURATION;
-        MPD218.State.zoomFeedback.timer = engine.beginTimer(feedbackDuration, () => {
-            this.endZoomFeedback();
-        }, true);
+        if (clamped) {
+            this.flashBeatjumpColumn(deck, column, pads);
+        }
+    },
+    
+    // jump size as a bar from the nearest pad (forward) or the furthest pad (backward),
+    // the rest of the column stays dim so the deck is recognisable
+    getBeatjumpPads: function(column, beatSize, direction) {
+        // columns run from the furthest pad to the nearest one
+        const fillOrder = direction > 0 ? [...column].reverse() : column;
+        const litPads = Math.min(fillOrder.length, Math.floor(Math.log2(Math.max(1, beatSize))) + 1);
+        
+        const pads = {};
+        fillOrder.forEach((note, index) => {
+            pads[note] = index < litPads ? "full" : "dim";
+        });
+        return pads;
+    },
+    
+    // every pad of a column in one state
+    getColumnPads: function(column, state) {
+        const pads = {};
+        column.forEach(note => {
+            pads[note] = state;
+        });
+        return pads;
+    },
+    
+    // flash the whole column, then show the jump size again
+    flashBeatjumpColumn: function(deck, column, sizePads) {
+        const timers = MPD218.State.beatjumpFeedback.flashTimers;
+        const steps = MPD218.Config.beatjumpFeedback.flashCount * 2;
+        let step = 0;
+        
+        timers[deck] = engine.beginTimer(MPD218.Config.beatjumpFeedback.flashInterval, () => {
+            step++;
+            if (step < steps) {
+                this.updateLayer(`beatjump ${deck}`, this.getColumnPads(column, step % 2 === 0));
+                return;
+            }
+            
+            this.stopBeatjumpFlash(deck);
+            this.updateLayer(`beatjump ${deck}`, sizePads);
+        });
+    },
+    
+    stopBeatjumpFlash: function(deck) {
+        const timers = MPD218.State.beatjumpFeedback.flashTimers;
+        if (timers[deck]) {
+            engine.stopTimer(timers[deck]);
+            delete timers[deck];
+        }
+    },
+    
+    // end beatjump feedback on every deck and return to normal LEDs
+    endBeatjumpFeedback: function() {
+        Object.keys(MPD218.State.ledLayers)
+            .filter(name => name.indexOf("beatjump ") === 0)
+            .forEach(name => this.clearLayer(name));
+    },
+    
+    // quick effect preset index in binary on the deck's column (nearest pad = 1), unset bits dim
+    showPresetIndex: function(deck, index) {
+        if (!MPD218.Config.quickEffectFeedback.enabled) return;
+        
+        const fillOrder = this.getMeterColumn(deck);
+        if (!fillOrder) return;     // deck has no column on the pads
+        
+        const pads = {};
+        fillOrder.forEach((note, bit) => {
+            pads[note] = (index >> bit) & 1 ? "full" : "dim";
+        });
+        
+        if (MPD218.isDebugEnabled()) {
+            console.log(`🎛️ quick effect preset: ${deck} ${index}`);
+        }
+        
+        this.showLayer(`preset ${deck}`, pads, {
+            priority: this.LAYER_PRIORITY.feedback,
+            duration: MPD218.Config.quickEffectFeedback.duration
+        });
+    },
+    
+    // flash the superknob meter's area as it lands on neutral (centre detent)
+    showDetentCue: function(deck) {
+        const column = MPD218.Config.meterFeedback.styles.superknob === "column" ? this.getMeterColumn(deck) : null;
+        const pads = {};
+        (column || MPD218.Utils.getActiveLayout().NOTES).forEach(note => {
+            pads[note] = "full";
+        });
+        
+        this.showLayer(`detent ${deck}`, pads, {
+            priority: this.LAYER_PRIORITY.cue,
+            duration: MPD218.Config.encoders.superknobDetent.cueDuration
+        });
+    }
+};
+
+
+
+// MARK: VELOCITY CURVES
+// shapes pad note velocity before it reaches an action
+MPD218.Velocity = {
+    // padSensitivity presets: low needs hard hits, high makes soft hits count
+    PRESETS: {
+        low: { curve: "exp", amount: 4 },
+        medium: { curve: "linear", amount: 0 },
+        high: { curve: "log", amount: 9 }
+    },
+    
+    // steepness used when velocityCurve overrides the preset
+    DEFAULT_AMOUNT: 4,
+    
+    // curve in use from the current configuration
+    getCurve: function() {
+        const config = MPD218.Config.interaction;
+        const preset = this.PRESETS[config.padSensitivity] || this.PRESETS.medium;
+        if (config.velocityCurve && config.velocityCurve !== preset.curve) {
+            return { curve: config.velocityCurve, amount: this.DEFAULT_AMOUNT };
+        }
+        return preset;
+    },
+    
+    // note velocity (0-127) to a curved 0.0-1.0 value
+    normalize: function(velocity) {
+        const x = Math.max(0, Math.min(1, velocity / MPD218.MIDI.MAX_VELOCITY));
+        const { curve, amount } = this.getCurve();
+        
+        switch (curve) {
+            case "log":
+                return Math.log(1 + amount * x) / Math.log(1 + amount);
+            case "exp":
+                return (Math.exp(amount * x) - 1) / (Math.exp(amount) - 1);
+            default:
+                return x;
+        }
+    },
+    
+    // note velocity to a value in min..max
+    scale: function(velocity, min = 0.0, max = 1.0) {
+        return min + this.normalize(velocity) * (max - min);
+    }
+};
+
+// MARK: ENCODER ACCELERATION
+// speeds encoders up while they are turned fast, shared by every encoder type
+MPD218.Acceleration = {
+    CURVES: ["off", "linear", "stepped", "exponential"],
+    
+    // speed multiplier for the current tick; key separates timing per encoder type and deck
+    getMultiplier: function(key, curve) {
+        const config = MPD218.Config.encoders.acceleration;
+        const now = Date.now();
+        
+        if (!MPD218.State.acceleration[key]) {
+            MPD218.State.acceleration[key] = { lastTime: null, multiplier: 1 };
+        }
+        const state = MPD218.State.acceleration[key];
+        const interval = state.lastTime === null ? Infinity : now - state.lastTime;
+        state.lastTime = now;
+        
+        // 0 when turning slowly, 1 at full speed
+        const speed = Math.max(0, Math.min(1, (config.slowTime - interval) / (config.slowTime - config.fastTime)));
+        
+        switch (curve) {
+            case "linear":
+                state.multiplier = 1 + (config.maxMultiplier - 1) * speed;
+                break;
+                
+            case "exponential":
+                state.multiplier = Math.pow(config.maxMultiplier, speed);
+                break;
+                
+            case "stepped":
+                state.multiplier = this.nextStep(state.multiplier, interval, config);
+                break;
+                
+            default:
+                state.multiplier = 1;
+                break;
+        }
+        
+        return state.multiplier;
+    },
+    
+    // powers of two: fast turning climbs a step per tick, medium turning holds at least 2,
+    // slow turning resets to 1 and anything in between keeps the current step
+    nextStep: function(multiplier, interval, config) {
+        const mediumTime = (config.fastTime + config.slowTime) / 2;
+        
+        if (interval < config.fastTime) {
+            return Math.min(config.maxMultiplier, Math.max(2, multiplier * 2));
+        }
+        if (interval < mediumTime) {
+            return Math.max(2, multiplier);
+        }
+        if (interval > config.slowTime) {
+            return 1;
+        }
+        return multiplier;
+    }
+};
+
+
+// MARK: SHIFT LAYER
+// pad modifier: a dedicated shift pad ("pad" mode) or any held pad ("hold" mode)
+MPD218.ShiftManager = {
+    // check if note is the dedicated shift pad in the current bank
+    isShiftPad: function(note) {
+        if (MPD218.Config.shift.mode !== "pad") return false;
+        return MPD218.LEDManager.getBottomLeftToTopRightOrder()[MPD218.Config.shift.pad] === note;
     },
     
-    // get pad order from bottom-left to top-right 
-    getBottomLeftToTopRightOrder: function() {
-        // this depends on the current rotation and layout
-        const grid = MPD218.PadLayout.GRID;
-        const orderedPads = [];
+    // action for a pad mapping in the current layer (null if the shifted pad does nothing)
+    resolveAction: function(mapping) {
+        if (!MPD218.State.shift.active) return mapping;
+        return mapping.shift || null;
+    },
+    
+    // apply or release the shift layer and show it on the LEDs
+    setActive: function(active) {
+        if (MPD218.State.shift.active === active) return;
+        MPD218.State.shift.active = active;
         
-        // for bottom-left to top-right, we want:
-        // bottom row left-to-right, then next row left-to-right, etc.
-        for (let row = grid.length - 1; row >= 0; row--) {
-            for (let col = 0; col < grid[row].length; col++) {
-                orderedPads.push(grid[row][col]);
-            }
+        if (MPD218.isDebugEnabled()) {
+            console.log(`⇧ shift ${active ? 'on' : 'off'}`);
         }
         
-        return orderedPads;
+        MPD218.LEDManager.syncFeatureLEDs();
     },
     
-    // end zoom feedback and return to normal LEDs
-    endZoomFeedback: function() {
-        // clear zoom feedback pad states first (only turn off zoom pads)
-        const currentStates = MPD218.State.zoomFeedback.currentPadStates;
-        Object.keys(currentStates).forEach(noteHex => {
-            const note = parseInt(noteHex);
-            this.setPadLED(note, false);
-        });
+    // dedicated shift pad press/release, returns true if the event was consumed
+    handleShiftPad: function(note, pressed) {
+        if (!this.isShiftPad(note)) return false;
+        this.setActive(pressed);
+        return true;
+    },
+    
+    // "hold" mode press, returns true if the press is deferred until release
+    // (only pads that act on press alone are deferred, others have already acted)
+    holdPress: function(note, canDefer) {
+        if (MPD218.Config.shift.mode !== "hold") return false;
+        const shift = MPD218.State.shift;
         
-        // reset zoom feedback state
-        MPD218.State.zoomFeedback.active = false;
-        MPD218.State.zoomFeedback.deck = null;
-        MPD218.State.zoomFeedback.timer = null;
-        MPD218.State.zoomFeedback.lastLevel = null;
-        MPD218.State.zoomFeedback.currentPadStates = {};
+        // another pad is held: it becomes the modifier for this press
+        if (shift.heldPad !== null && shift.heldPad !== note) {
+            shift.consumed = true;
+            MPD218.GestureEngine.cancel(shift.heldPad);
+            this.setActive(true);
+            return false;
+        }
         
-        // return to normal LED state
-        this.syncFeatureLEDs();
+        shift.heldPad = note;
+        shift.consumed = false;
+        shift.deferred = canDefer;
+        shift.timer = MPD218.State.addTimer(engine.beginTimer(MPD218.Config.shift.holdDelay, () => {
+            MPD218.State.removeTimer(shift.timer);
+            shift.timer = null;
+            this.setActive(true);
+        }, true));
+        return canDefer;
+    },
+    
+    // "hold" mode release, returns true if the held pad was deferred, tapped, and should run its own action
+    holdRelease: function(note) {
+        const shift = MPD218.State.shift;
+        if (MPD218.Config.shift.mode !== "hold" || note !== shift.heldPad) return false;
         
-        if (MPD218.isDebugEnabled()) {
-            console.log("🔍 zoom feedback ended - returned to normal LEDs");
+        if (shift.timer) {
+            engine.stopTimer(shift.timer);
+            MPD218.State.removeTimer(shift.timer);
+            shift.timer = null;
         }
+        
+        const tapped = shift.deferred && !shift.consumed;
+        shift.heldPad = null;
+        shift.consumed = false;
+        this.setActive(false);
+        return tapped;
+    }
+};
+
+
+// MARK: GESTURE ENGINE
+// tells single tap, double tap and long press apart for pads with gesture actions
+MPD218.GestureEngine = {
+    // check if a mapping binds any gesture
+    hasGestures: function(mapping) {
+        const gestures = mapping.gestures;
+        return !!(gestures && (gestures.doubleTap || gestures.longPress));
     },
     
-    // superknob feedback on all 16 pads (center-based visualization)
-    showSuperknobFeedback: function(deck, superknobValue) {
-        // superknob value: 0.0 = full lpf, 0.5 = neutral, 1.0 = full hpf
-        // visualization: start with all 16 pads lit at center (0.5)
-        // turn left (lpf): remove pads from top-right progressively
-        // turn right (hpf): remove pads from bottom-left progressively
-        
-        // calculate how many pads to show (0-16)
-        // at 0.5 (neutral): show all 16 pads
-        // at 0.0 (full lpf): show 0 pads
-        // at 1.0 (full hpf): show 0 pads
-        const distanceFromCenter = Math.abs(superknobValue - 0.5);
-        const normalizedDistance = distanceFromCenter * 2; // 0.0 to 1.0
-        const padsToShow = Math.round((1.0 - normalizedDistance) * 16);
-        const clampedPads = Math.max(0, Math.min(16, padsToShow));
-        
-        // if this is the same value as last time, just reset the timer
-        if (MPD218.State.superknobFeedback.active && 
-            MPD218.State.superknobFeedback.lastValue === superknobValue &&
-            MPD218.State.superknobFeedback.deck === deck) {
-            
-            // just reset the timeout without changing LEDs
-            if (MPD218.State.superknobFeedback.timer) {
-                engine.stopTimer(MPD218.State.superknobFeedback.timer);
-            }
-            const feedbackDuration = MPD218.HARDWARE.TIMING.ZOOM_FEEDBACK_DURATION;
-            MPD218.State.superknobFeedback.timer = engine.beginTimer(feedbackDuration, () => {
-                this.endSuperknobFeedback();
-            }, true);
-            
-            if (MPD218.isDebugEnabled()) {
-                console.log(`🎚️ superknob feedback: same value ${superknobValue.toFixed(3)}, timer reset (no flicker)`);
-            }
+    // stop a gesture timer and forget it
+    clearTimer: function(timerId) {
+        if (timerId) {
+            engine.stopTimer(timerId);
+            MPD218.State.removeTimer(timerId);
+        }
+        return null;
+    },
+    
+    // pad pressed: detect double tap, arm long press, run the tap now if tapOnPress
+    // (longPressWhilePlaying only arms the long press if the pad's deck was playing before the press)
+    press: function(note, mapping) {
+        const gestures = mapping.gestures;
+        const config = MPD218.Config.interaction;
+        const now = Date.now();
+        const state = MPD218.State.gestures[note] || (MPD218.State.gestures[note] = {});
+        state.pressed = true;
+        
+        // second press inside the window: double tap replaces the tap
+        const inWindow = state.lastTap !== null && state.lastTap !== undefined &&
+                         now - state.lastTap <= config.doubleClickTime;
+        if (gestures.doubleTap && inWindow && (gestures.tapOnPress || state.tapTimer)) {
+            state.tapTimer = this.clearTimer(state.tapTimer);
+            state.lastTap = null;
+            state.mapping = mapping;
+            state.consumed = true;
+            this.fire(note, "doubleTap", gestures.doubleTap);
             return;
         }
         
-        // clear any existing superknob feedback timer
-        if (MPD218.State.superknobFeedback.timer) {
-            engine.stopTimer(MPD218.State.superknobFeedback.timer);
+        state.mapping = mapping;
+        state.consumed = false;
+        
+        const longPressArmed = !gestures.longPressWhilePlaying || engine.getValue(mapping.deck, "play") > 0;
+        if (gestures.longPress && longPressArmed) {
+            state.holdTimer = MPD218.State.addTimer(engine.beginTimer(config.holdTime, () => {
+                MPD218.State.removeTimer(state.holdTimer);
+                state.holdTimer = null;
+                state.consumed = true;
+                state.lastTap = null;
+                this.fire(note, "longPress", gestures.longPress);
+            }, true));
+        }
+        
+        if (gestures.tapOnPress) {
+            state.lastTap = now;
+            MPD218.Controllers.performPress(note, mapping);
         }
+    },
+    
+    // pad became a shift modifier: drop its pending long press
+    cancel: function(note) {
+        const state = MPD218.State.gestures[note];
+        if (!state) return;
+        state.holdTimer = this.clearTimer(state.holdTimer);
+        state.consumed = true;
+        state.lastTap = null;
+    },
+    
+    // pad released, returns true if the release is fully handled here
+    release: function(note) {
+        const state = MPD218.State.gestures[note];
+        if (!state || !state.pressed) return false;
+        state.pressed = false;
         
-        // set superknob feedback state
-        MPD218.State.superknobFeedback.active = true;
-        MPD218.State.superknobFeedback.deck = deck;
-        MPD218.State.superknobFeedback.lastValue = superknobValue;
+        state.holdTimer = this.clearTimer(state.holdTimer);
+        const gestures = state.mapping.gestures;
         
-        // get pad order
-        // for lpf (< 0.5): remove from bottom-left (normal order)
-        // for hpf (> 0.5): remove from top-right (reverse order)
-        const grid = MPD218.PadLayout.GRID;
-        let orderedPads = [];
+        // tap already ran on press, let momentary/hold release it as usual
+        if (gestures.tapOnPress) return false;
         
-        if (superknobValue < 0.5) {
-            // lpf mode: start from center, remove from bottom-left
-            // order: bottom-left to top-right (normal)
-            for (let row = grid.length - 1; row >= 0; row--) {
-                for (let col = 0; col < grid[row].length; col++) {
-                    orderedPads.push(grid[row][col]);
-                }
-            }
-        } else {
-            // hpf mode: start from center, remove from top-right
-            // order: top-right to bottom-left (reverse of normal)
-            for (let row = 0; row < grid.length; row++) {
-                for (let col = grid[row].length - 1; col >= 0; col--) {
-                    orderedPads.push(grid[row][col]);
-                }
+        if (!state.consumed) {
+            if (gestures.doubleTap) {
+                // wait to see if a second tap follows
+                state.lastTap = Date.now();
+                state.tapTimer = MPD218.State.addTimer(engine.beginTimer(MPD218.Config.interaction.doubleClickTime, () => {
+                    MPD218.State.removeTimer(state.tapTimer);
+                    state.tapTimer = null;
+                    state.lastTap = null;
+                    this.tap(note, state.mapping);
+                }, true));
+            } else {
+                this.tap(note, state.mapping);
             }
         }
-        
+        return true;
+    },
+    
+    // deferred single tap
+    tap: function(note, mapping) {
         if (MPD218.isDebugEnabled()) {
-            const mode = superknobValue < 0.5 ? 'lpf' : superknobValue > 0.5 ? 'hpf' : 'neutral';
-            console.log(`🎚️ superknob feedback: ${superknobValue.toFixed(3)} (${mode}) -> ${clampedPads}/16 pads`);
-        }
-        
-        // on first activation, clear all pads once
-        if (Object.keys(MPD218.State.superknobFeedback.currentPadStates).length === 0) {
-            this.allPadsOff();
+            console.log(`👆 tap: pad 0x${note.toString(16)}`);
         }
-        
-        // calculate which pads should be lit
-        const targetPadStates = {};
-        for (let i = 0; i < clampedPads && i < orderedPads.length; i++) {
-            targetPadStates[orderedPads[i]] = true;
+        MPD218.Controllers.tapPad(note, mapping);
+    },
+    
+    // run a gesture action and refresh the pad LED
+    fire: function(note, gesture, action) {
+        if (MPD218.isDebugEnabled()) {
+            console.log(`👆 ${gesture}: pad 0x${note.toString(16)} -> ${action.deck || ''} ${action.type} ${action.number || action.control || ''}`);
         }
         
-        // get current superknob feedback pad states
-        const currentStates = MPD218.State.superknobFeedback.currentPadStates;
+        MPD218.Controllers.executeAction(action);
         
-        // differential update - only change pads that need to change
-        // first, turn off pads that should no longer be lit
-        Object.keys(currentStates).forEach(noteHex => {
-            const note = parseInt(noteHex);
-            if (currentStates[noteHex] && !targetPadStates[note]) {
-                this.setPadLED(note, false);
-                delete currentStates[noteHex];
-                if (MPD218.isDebugEnabled()) {
-                    console.log(`  turned off pad 0x${note.toString(16)}`);
-                }
-            }
-        });
+        engine.beginTimer(MPD218.HARDWARE.TIMING.LED_UPDATE_DELAY, () => {
+            MPD218.LEDManager.updatePadLED(note);
+        }, true);
+    }
+};
+
+// MARK: BEAT VISUALIZER
+// pulses deck columns in an LED layer above the normal LEDs (feedback overlays cover the pulses)
+MPD218.BeatVisualizer = {
+    // beat_active rose on a deck
+    onBeat: function(deck) {
+        const deckNum = parseInt(deck.match(/\d+/)[0]);
+        const column = MPD218.Utils.getActiveLayout().CHANNELS[deckNum];
+        if (!column) return;    // deck has no column on the pads
         
-        // then, turn on pads that should now be lit
-        Object.keys(targetPadStates).forEach(note => {
-            const noteNum = parseInt(note);
-            const noteHex = noteNum.toString();
-            if (!currentStates[noteHex]) {
-                this.setPadLED(noteNum, true);
-                currentStates[noteHex] = true;
-                if (MPD218.isDebugEnabled()) {
-                    console.log(`  turned on pad 0x${noteNum.toString(16)}`);
-                }
-            }
-        });
+        const config = MPD218.Config.beatVisualizer;
+        const downbeat = this.nextBeatInBar(deck) === 0;
         
-        // schedule return to normal after timeout
-        const feedbackDuration = MPD218.HARDWARE.TIMING.ZOOM_FEEDBACK_DURATION;
-        MPD218.State.superknobFeedback.timer = engine.beginTimer(feedbackDuration, () => {
-            this.endSuperknobFeedback();
-        }, true);
+        // columns run from the furthest pad to the nearest one
+        const pads = downbeat ? column : [column[column.length - 1]];
+        this.pulse(deck, pads, downbeat ? config.downbeatDuration : config.pulseDuration);
     },
     
-    // end superknob feedback and return to normal LEDs
-    endSuperknobFeedback: function() {
-        // clear superknob feedback pad states first
-        const currentStates = MPD218.State.superknobFeedback.currentPadStates;
-        Object.keys(currentStates).forEach(noteHex => {
-            const note = parseInt(noteHex);
-            this.setPadLED(note, false);
-        });
+    // position of the current beat in its bar (0 = downbeat), null without a beatgrid
+    nextBeatInBar: function(deck) {
+        const bpm = engine.getValue(deck, "file_bpm");
+        const duration = engine.getValue(deck, "duration");
+        if (!(bpm > 0 && duration > 0)) return null;
         
-        // reset superknob feedback state
-        MPD218.State.superknobFeedback.active = false;
-        MPD218.State.superknobFeedback.deck = null;
-        MPD218.State.superknobFeedback.timer = null;
-        MPD218.State.superknobFeedback.lastValue = null;
-        MPD218.State.superknobFeedback.currentPadStates = {};
+        // track time in beats; minus the distance past the previous beat it lands on a grid line,
+        // whose fraction is the grid's offset from the track start (rounding noise kept off the next line)
+        const beats = engine.getValue(deck, "playposition") * duration * bpm / 60;
+        const gridLine = beats - engine.getValue(deck, "beat_distance");
+        const offset = gridLine - Math.floor(gridLine + 0.001);
         
-        // return to normal LED state
-        this.syncFeatureLEDs();
+        // beats since the first beat of the grid, to the beat that just became active
+        const beat = Math.round(beats - offset);
+        const beatsPerBar = MPD218.Config.beatVisualizer.beatsPerBar;
+        return ((beat % beatsPerBar) + beatsPerBar) % beatsPerBar;
+    },
+    
+    // invert pads for a moment, then restore their normal state
+    // (one layer per deck, so a new beat replaces the previous pulse of that deck)
+    pulse: function(deck, pads, duration) {
+        const inverted = {};
+        pads.forEach(note => {
+            inverted[note] = !MPD218.LEDManager.getPadState(note);
+        });
         
-        if (MPD218.isDebugEnabled()) {
-            console.log("🎚️ superknob feedback ended - returned to normal LEDs");
-        }
+        MPD218.LEDManager.showLayer(`beat ${deck}`, inverted, {
+            priority: MPD218.LEDManager.LAYER_PRIORITY.pulse,
+            duration: duration
+        });
     }
 };
 
 
-
 // MARK: CONTROL HANDLERS
 MPD218.Controllers = {
-    // handle pad presses
+    // handle pad presses and releases
     handlePad: function(channel, control, value, status, group) {
-        if (value === 0) return; // only handle press, not release
+        // pads send note off (or note on with velocity 0) on release
+        const pressed = value > 0 && (status & 0xF0) === MPD218.MIDI.NOTE_ON;
         
-        // if zoom feedback is active, ignore pad presses (they're just visual)
-        if (MPD218.State.zoomFeedback.active) {
-            if (MPD218.isDebugEnabled()) {
-                console.log("🔍 ignoring pad press during zoom feedback");
+        // follow the hardware pad bank button: the note range tells us which bank is active
+        if (pressed) {
+            const hardwareBank = MPD218.LayoutGenerator.findHardwareBank(control);
+            if (hardwareBank !== null && hardwareBank !== MPD218.State.currentBank) {
+                this.selectBank(hardwareBank);
             }
+        }
+        
+        // dedicated shift pad ("pad" mode) works even while feedback is showing
+        if (MPD218.ShiftManager.handleShiftPad(control, pressed)) {
+            return;
+        }
+        
+        if (!pressed) {
+            this.handleRelease(control);
+            return;
+        }
+        
+        MPD218.State.padVelocity[control] = value;
+        
+        // meters (zoom, superknob, custom encoders) covering the pad take taps as values
+        const layer = MPD218.LEDManager.getTopLayer(control);
+        if (layer && layer.onPress) {
+            layer.onPress(control);
             return;
         }
         
-        // if superknob feedback is active, ignore pad presses (they're just visual)
-        if (MPD218.State.superknobFeedback.active) {
+        // other feedback overlays owning the grid without a tap action are just visual, ignore pad presses
+        const feedback = MPD218.LEDManager.getFeedbackLayer();
+        if (feedback) {
             if (MPD218.isDebugEnabled()) {
-                console.log("🎚️ ignoring pad press during superknob feedback");
+                console.log(`🧱 ignoring pad press during ${feedback} feedback`);
             }
             return;
         }
@@ -997,51 +2489,263 @@ MPD218.Controllers = {
             return;
         }
         
+        // "hold" mode: first held pad can become the modifier, toggle pads without
+        // gestures wait for release so they don't act when used as modifier
+        const hasGestures = MPD218.GestureEngine.hasGestures(mapping);
+        const canDefer = this.getPadMode(mapping) === "toggle" && !hasGestures;
+        if (MPD218.ShiftManager.holdPress(control, canDefer)) {
+            return;
+        }
+        
+        // gestures only apply to the unshifted layer
+        if (hasGestures && !MPD218.State.shift.active) {
+            MPD218.GestureEngine.press(control, mapping);
+            return;
+        }
+        
+        this.performPress(control, mapping);
+    },
+    
+    // handle pad release: finish gestures, release momentary/hold actions (even if bank
+    // or layer changed while held) and run taps deferred by the "hold" shift mode
+    handleRelease: function(control) {
+        this.releaseVelocity(control);
+        const deferredTap = MPD218.ShiftManager.holdRelease(control);
+        
+        if (MPD218.GestureEngine.release(control) || this.releasePad(control)) {
+            return;
+        }
+        
+        const mapping = deferredTap ? MPD218.Utils.getPadMapping(control) : null;
+        if (mapping) {
+            this.tapPad(control, mapping);
+        }
+    },
+    
+    // run a press that was deferred past its release: press and immediately release
+    tapPad: function(control, mapping) {
+        this.performPress(control, mapping);
+        this.releasePad(control);
+        this.releaseVelocity(control);
+    },
+    
+    // pad mode for an action: its own "mode", else the configured default for its type
+    getPadMode: function(action) {
+        return action.mode || MPD218.Config.interaction.padModes[action.type] || "toggle";
+    },
+    
+    // engine group/control a single-control action drives (null for multi-deck actions)
+    getActionTarget: function(action) {
+        switch (action.type) {
+            case "hotcue":
+                return { group: action.deck, control: `hotcue_${action.number}_activate` };
+                
+            case "hotcue_clear":
+                return { group: action.deck, control: `hotcue_${action.number}_clear` };
+                
+            case "trigger":
+            case "toggle":
+            case "stop":
+                return { group: action.deck, control: action.control };
+                
+            case "set":
+            case "increment":
+                return null;
+                
+            case "sampler":
+                return { group: action.deck, control: "cue_gotoandplay" };
+                
+            case "beatloop":
+                return { group: action.deck, control: `beatloop_${action.size}_toggle` };
+                
+            case "all_decks":
+            case "quick_effect_preset":
+                return null;
+                
+            default:
+                return action.deck ? { group: action.deck, control: action.type } : null;
+        }
+    },
+    
+    // release a momentary/hold pad, returns false if the pad wasn't being held
+    releasePad: function(control) {
+        const held = MPD218.State.heldPads[control];
+        if (!held) return false;
+        delete MPD218.State.heldPads[control];
+        
+        const target = this.getActionTarget(held.action);
+        engine.setValue(target.group, target.control, held.releaseValue);
+        
         if (MPD218.isDebugEnabled()) {
-            console.log(`pad pressed: 0x${control.toString(16)} -> ${mapping.deck} ${mapping.type} ${mapping.number || ''}`);
+            console.log(`pad released: 0x${control.toString(16)} -> ${target.group} ${target.control} = ${held.releaseValue} (${held.mode})`);
         }
         
-        switch (mapping.type) {
+        engine.beginTimer(MPD218.HARDWARE.TIMING.LED_UPDATE_DELAY, () => {
+            MPD218.LEDManager.updatePadLED(control);
+        }, true);
+        return true;
+    },
+    
+    // run a pad's action for the current layer and refresh its LED
+    performPress: function(control, mapping) {
+        const action = MPD218.ShiftManager.resolveAction(mapping);
+        if (!action) {
+            if (MPD218.isDebugEnabled()) {
+                console.log(`no shift action for pad 0x${control.toString(16)} (${mapping.deck} ${mapping.type})`);
+            }
+            return;
+        }
+        
+        const mode = this.getPadMode(action);
+        const target = this.getActionTarget(action);
+        
+        if (MPD218.isDebugEnabled()) {
+            console.log(`pad pressed: 0x${control.toString(16)} -> ${action.deck || ''} ${action.type} ${action.number || action.control || ''} (${mode})${MPD218.State.shift.active ? ' [shift]' : ''}`);
+        }
+        
+        this.applyVelocity(control, action);
+        
+        if (mode !== "toggle" && target) {
+            // momentary: on while held, hold: flipped while held then restored
+            const current = engine.getValue(target.group, target.control);
+            const releaseValue = mode === "momentary" ? 0 : current;
+            const pressValue = mode === "momentary" ? 1 : (current > 0 ? 0 : 1);
+            
+            MPD218.State.heldPads[control] = { action: action, mode: mode, releaseValue: releaseValue };
+            engine.setValue(target.group, target.control, pressValue);
+        } else {
+            this.executeAction(action);
+        }
+        
+        // immediately update LED to reflect the change
+        engine.beginTimer(MPD218.HARDWARE.TIMING.LED_UPDATE_DELAY, () => {
+            MPD218.LEDManager.updatePadLED(control);
+        }, true);
+    },
+    
+    // set an action's velocity target from the pad's hit strength (through the velocity curve)
+    applyVelocity: function(control, action) {
+        const target = action.velocity;
+        if (!target) return;
+        
+        const group = target.group || action.deck;
+        const velocity = MPD218.State.padVelocity[control] || MPD218.MIDI.MAX_VELOCITY;
+        const min = target.min !== undefined ? target.min : 0.0;
+        const max = target.max !== undefined ? target.max : 1.0;
+        const value = MPD218.Velocity.scale(velocity, min, max);
+        
+        // momentary targets go back to their previous value on release
+        if (target.momentary && !MPD218.State.velocityHolds[control]) {
+            MPD218.State.velocityHolds[control] = {
+                group: group,
+                control: target.control,
+                value: engine.getValue(group, target.control)
+            };
+        }
+        
+        engine.setValue(group, target.control, value);
+        
+        if (MPD218.isDebugEnabled()) {
+            console.log(`💥 velocity ${velocity} -> ${group} ${target.control} = ${value.toFixed(3)}`);
+        }
+    },
+    
+    // restore a momentary velocity target when its pad is released
+    releaseVelocity: function(control) {
+        const held = MPD218.State.velocityHolds[control];
+        if (!held) return;
+        delete MPD218.State.velocityHolds[control];
+        engine.setValue(held.group, held.control, held.value);
+    },
+    
+    // add delta to a control, clamped to min/max when given
+    incrementControl: function(group, control, delta, min, max) {
+        let value = engine.getValue(group, control) + delta;
+        if (min !== undefined) value = Math.max(min, value);
+        if (max !== undefined) value = Math.min(max, value);
+        engine.setValue(group, control, value);
+        return value;
+    },
+    
+    // execute a pad action against the engine
+    executeAction: function(action) {
+        switch (action.type) {
             case "hotcue":
-                engine.setValue(mapping.deck, `hotcue_${mapping.number}_activate`, 1);
+                engine.setValue(action.deck, `hotcue_${action.number}_activate`, 1);
+                break;
+                
+            case "hotcue_clear":
+                engine.setValue(action.deck, `hotcue_${action.number}_clear`, 1);
+                break;
+                
+            case "trigger":
+            case "stop":
+                engine.setValue(action.deck, action.control, 1);
+                break;
+                
+            case "sampler":
+                engine.setValue(action.deck, "cue_gotoandplay", 1);
+                break;
+                
+            case "beatloop":
+                engine.setValue(action.deck, `beatloop_${action.size}_toggle`, 1);
+                break;
+                
+            case "toggle": {
+                const state = engine.getValue(action.deck, action.control);
+                engine.setValue(action.deck, action.control, state > 0 ? 0 : 1);
+                break;
+            }
+                
+            case "set":
+                engine.setValue(action.deck, action.control, action.value !== undefined ? action.value : 1);
+                break;
+                
+            case "increment":
+                this.incrementControl(action.deck, action.control, action.step || 1, action.min, action.max);
+                break;
+                
+            case "quick_effect_preset":
+                // the preset index shows once the rack reports it (EngineCallbacks.quickEffectPresetChanged)
+                engine.setValue(`[QuickEffectRack1_${action.deck}]`, action.direction < 0 ? "prev_chain_preset" : "next_chain_preset", 1);
                 break;
                 
-            case "play_all_decks":
-                // start playback on all 4 decks simultaneously
+            case "all_decks": {
+                // copy the source deck's state to every deck
+                const value = engine.getValue(action.deck, action.control) > 0 ? 1 : 0;
                 for (let i = 1; i <= MPD218.HARDWARE.LIMITS.DECK_COUNT; i++) {
-                    engine.setValue(`[Channel${i}]`, "play", 1);
+                    engine.setValue(`[Channel${i}]`, action.control, value);
                 }
                 break;
+            }
                 
             case "bpmlock":
             case "keylock": 
             case "slip_enabled":
             case "quantize":
-                const current = engine.getValue(mapping.deck, mapping.type);
-                engine.setValue(mapping.deck, mapping.type, !current);
+                const current = engine.getValue(action.deck, action.type);
+                engine.setValue(action.deck, action.type, !current);
                 break;
         }
+    },
+    
+    // switch the active bank and resync LEDs to its notes
+    selectBank: function(bankNum) {
+        if (!MPD218.BankMappings[bankNum]) {
+            console.log(`❌ bank ${bankNum} has no mappings`);
+            return false;
+        }
         
-        // immediately update LED to reflect the change
-        engine.beginTimer(MPD218.HARDWARE.TIMING.LED_UPDATE_DELAY, () => {
-            if (mapping.type === "hotcue") {
-                const state = engine.getValue(mapping.deck, `hotcue_${mapping.number}_status`) > 0;
-                MPD218.LEDManager.setPadLED(control, state);
-            } else if (mapping.type === "play_all_decks") {
-                // light up if all decks are playing
-                let allPlaying = true;
-                for (let i = 1; i <= MPD218.HARDWARE.LIMITS.DECK_COUNT; i++) {
-                    if (!engine.getValue(`[Channel${i}]`, "play")) {
-                        allPlaying = false;
-                        break;
-                    }
-                }
-                MPD218.LEDManager.setPadLED(control, allPlaying);
-            } else {
-                const state = engine.getValue(mapping.deck, mapping.type) > 0;
-                MPD218.LEDManager.setPadLED(control, state);
-            }
-        }, true);
+        MPD218.State.currentBank = bankNum;
+        
+        if (MPD218.isDebugEnabled()) {
+            console.log(`🏦 bank ${bankNum} active: ${MPD218.BankMappings[bankNum].name}`);
+        }
+        
+        // overlay layers are drawn on the previous bank's notes, drop them
+        MPD218.LEDManager.clearLayers();
+        MPD218.LEDManager.syncFeatureLEDs();
+        return true;
     },
     
     // handle NRPN messages for encoders
@@ -1052,6 +2756,17 @@ MPD218.Controllers = {
             if (!MPD218.State.nrpnParams[midiChannel]) {
                 MPD218.State.nrpnParams[midiChannel] = {};
             }
+            
+            // null/reset clears the selection, data entry and motion go to the channel's own mapping
+            // until a new param arrives (never to the param that was selected before)
+            if (msb === MPD218.MIDI.NRPN_NULL && lsb === MPD218.MIDI.NRPN_NULL) {
+                MPD218.State.nrpnParams[midiChannel].param = null;
+                if (MPD218.isDebugEnabled()) {
+                    console.log(`NRPN param cleared: ch${midiChannel}`);
+                }
+                return;
+            }
+            
             MPD218.State.nrpnParams[midiChannel].param = (msb << 7) | lsb;
             
             if (MPD218.isDebugEnabled()) {
@@ -1059,53 +2774,158 @@ MPD218.Controllers = {
             }
         },
         
+        // encoder mapping for a MIDI channel (1-based) and its selected NRPN parameter,
+        // falling back to the mapping for the whole channel
+        getMapping: function(midiChannel) {
+            const params = MPD218.State.nrpnParams[midiChannel];
+            const param = params && params.param !== undefined ? params.param : null;
+            const mapping = (param !== null && MPD218.EncoderMappings[`${midiChannel}:${param}`]) || MPD218.EncoderMappings[midiChannel];
+            
+            if (!mapping && MPD218.isDebugEnabled()) {
+                console.log(`⚠️ no encoder mapping for MIDI channel ${midiChannel}${param !== null ? ` param 0x${param.toString(16)}` : ''} (available: ${Object.keys(MPD218.EncoderMappings).join(',')})`);
+            }
+            return mapping;
+        },
+        
         // handle increment/decrement (CC 96/97)  
         processMotion: function(channel, increment, value) {
             const midiChannel = channel + 1;
-            const mapping = MPD218.EncoderMappings[midiChannel];
+            const mapping = this.getMapping(midiChannel);
+            if (!mapping) return;
+            
+            const direction = increment ? 1 : -1;
+            const multiplier = MPD218.Acceleration.getMultiplier(`${mapping.type} ${mapping.deck}`, mapping.acceleration);
+            const speed = value * (mapping.speed || 1.0) * multiplier;
+            
+            if (MPD218.isDebugEnabled()) {
+                console.log(`encoder motion: ch${midiChannel} ${mapping.type} ${direction > 0 ? 'inc' : 'dec'} speed=${speed} (x${multiplier.toFixed(2)})`);
+            }
+            
+            switch (mapping.type) {
+                case "zoom":
+                    this.handleZoom(mapping.deck, direction, speed);
+                    break;
+                    
+                case "beatgrid":
+                    this.handleBeatgrid(mapping.deck, direction, speed);
+                    break;
+                    
+                case "jogwheel":
+                    this.handleJogwheel(mapping.deck, direction, speed);
+                    break;
+                    
+                case "scratch":
+                    this.handleScratch(mapping.deck, direction, speed);
+                    break;
+                    
+                // RETIRED: playposition scrub (replaced by beatjump scrub)
+                // case "scrub":
+                //     this.handleScrub(mapping.deck, direction, speed);
+                //     break;
+                    
+                case "beatjump":
+                    // jumps by whole beat sizes, so the encoder step value doesn't scale it, and
+                    // smooth acceleration curves are rounded to a power of two to stay on the beatgrid
+                    this.handleBeatJump(mapping.deck, direction, Math.pow(2, Math.round(Math.log2(Math.max(1, (mapping.speed || 1.0) * multiplier)))));
+                    break;
+                    
+                case "superknob":
+                    this.handleSuperknob(mapping.deck, direction, speed);
+                    break;
+                    
+                case "custom":
+                    this.handleCustom(mapping.action, direction, speed);
+                    this.showCustomMeter(mapping);
+                    break;
+            }
+        },
+        
+        // control an absolute encoder sets directly (null for relative-only mappings)
+        getAbsoluteTarget: function(mapping) {
+            switch (mapping.type) {
+                case "zoom":
+                    return { group: mapping.deck, control: "waveform_zoom", min: MPD218.HARDWARE.LIMITS.MIN_ZOOM, max: MPD218.HARDWARE.LIMITS.MAX_ZOOM };
+                    
+                case "superknob":
+                    return { group: `[QuickEffectRack1_${mapping.deck}]`, control: "super1", min: 0, max: 1 };
+                    
+                case "custom":
+                    if (mapping.action.type !== "increment" && mapping.action.type !== "set") return null;
+                    return {
+                        group: mapping.action.deck,
+                        control: mapping.action.control,
+                        min: mapping.action.min !== undefined ? mapping.action.min : 0,
+                        max: mapping.action.max !== undefined ? mapping.action.max : 1
+                    };
+                    
+                default:
+                    return null;
+            }
+        },
+        
+        // soft takeover for every absolute target, so a moved encoder doesn't make
+        // the control jump after the deck or bank it controls changed
+        enableSoftTakeover: function() {
+            Object.values(MPD218.EncoderMappings).forEach(mapping => {
+                const target = this.getAbsoluteTarget(mapping);
+                if (target) {
+                    engine.softTakeover(target.group, target.control, true);
+                }
+            });
+        },
+        
+        // handle 14-bit data entry (CC 6/38) from encoders programmed as absolute
+        processAbsolute: function(channel, data) {
+            const midiChannel = channel + 1;
+            const mapping = this.getMapping(midiChannel);
+            if (!mapping) return;
             
-            if (!mapping) {
+            const target = this.getAbsoluteTarget(mapping);
+            if (!target) {
                 if (MPD218.isDebugEnabled()) {
-                    console.log(`⚠️ no encoder mapping for MIDI channel ${midiChannel} (available: ${Object.keys(MPD218.EncoderMappings).join(',')})`);
+                    console.log(`⚠️ ${mapping.type} encoder on MIDI channel ${midiChannel} is relative only, ignoring data entry`);
                 }
                 return;
             }
             
-            const direction = increment ? 1 : -1;
-            const speed = value * (mapping.speed || 1.0);
+            const value = target.min + (data / MPD218.MIDI.MAX_DATA_ENTRY) * (target.max - target.min);
+            engine.setValue(target.group, target.control, value);
             
             if (MPD218.isDebugEnabled()) {
-                console.log(`encoder motion: ch${midiChannel} ${mapping.type} ${direction > 0 ? 'inc' : 'dec'} speed=${speed}`);
+                console.log(`encoder absolute: ch${midiChannel} ${target.group} ${target.control} = ${value.toFixed(3)} (data ${data})`);
             }
             
-            switch (mapping.type) {
-                case "zoom":
-                    this.handleZoom(mapping.deck, direction, speed);
-                    break;
-                    
-                case "beatgrid":
-                    this.handleBeatgrid(mapping.deck, direction, speed);
-                    break;
-                    
-                case "jogwheel":
-                    this.handleJogwheel(mapping.deck, direction, speed);
-                    break;
-                    
-                // RETIRED: playposition scrub (replaced by beatjump scrub)
-                // case "scrub":
-                //     this.handleScrub(mapping.deck, direction, speed);
-                //     break;
-                    
-                case "beatjump":
-                    this.handleBeatJump(mapping.deck, direction, speed);
-                    break;
-                    
-                case "superknob":
-                    this.handleSuperknob(mapping.deck, direction, speed);
-                    break;
+            // same LED feedback as relative motion (reads back what soft takeover let through)
+            if (mapping.type === "zoom" && MPD218.Config.zoomFeedback.enabled) {
+                MPD218.LEDManager.showZoomFeedback(mapping.deck, engine.getValue(target.group, target.control));
+            } else if (mapping.type === "superknob") {
+                MPD218.LEDManager.showSuperknobFeedback(mapping.deck, engine.getValue(target.group, target.control));
+            } else if (mapping.type === "custom") {
+                this.showCustomMeter(mapping);
             }
         },
         
+        // meter for a custom encoder with a range ("increment"/"set"), in its declared style
+        showCustomMeter: function(mapping) {
+            if (!MPD218.Config.meterFeedback.enabled || mapping.action.meter === false) return;
+            
+            const target = this.getAbsoluteTarget(mapping);
+            if (!target) return;
+            
+            const centered = target.min < 0 && target.max > 0;
+            let style = mapping.action.meter;
+            if (!style) {
+                style = centered ? "bipolar" : MPD218.Config.meterFeedback.styles.custom;
+            }
+            MPD218.LEDManager.showMeter(target.group, target.control, {
+                min: target.min,
+                max: target.max,
+                style: style,
+                deck: target.group,
+                centered: centered
+            });
+        },
+        
         handleZoom: function(deck, direction, speed) {
             const current = engine.getValue(deck, "waveform_zoom");
             
@@ -1138,6 +2958,32 @@ MPD218.Controllers = {
             engine.setValue(deck, "jog", delta);
         },
         
+        // scratch like a vinyl jogwheel: ticks drive engine.scratchTick while scratching
+        // is enabled, and the deck is released once the encoder stops moving
+        handleScratch: function(deck, direction, speed) {
+            const deckNum = parseInt(deck.match(/\d+/)[0]);
+            const scratchConfig = MPD218.Config.encoders.scratch;
+            const timers = MPD218.State.scratch.timers;
+            
+            if (!engine.isScratching(deckNum)) {
+                engine.scratchEnable(deckNum, MPD218.Config.encoders.jogwheelSpeed, scratchConfig.rpm, scratchConfig.alpha, scratchConfig.beta);
+            }
+            engine.scratchTick(deckNum, direction * speed);
+            
+            // restart the idle timeout on every tick
+            if (timers[deckNum]) {
+                engine.stopTimer(timers[deckNum]);
+            }
+            timers[deckNum] = engine.beginTimer(scratchConfig.idleTimeout, () => {
+                delete timers[deckNum];
+                engine.scratchDisable(deckNum);
+                
+                if (MPD218.isDebugEnabled()) {
+                    console.log(`scratch released: ${deck}`);
+                }
+            }, true);
+        },
+        
         // RETIRED: playposition scrub (replaced by beatjump scrub in bank 2)
         // handleScrub: function(deck, direction, speed) {
         //     // direct playposition control without inertia
@@ -1156,63 +3002,78 @@ MPD218.Controllers = {
             
             // adjust sensitivity - much smaller steps for fine control
             const delta = direction * 0.001 * speed;
-            const newValue = Math.max(0, Math.min(1, current + delta));
+            const newValue = this.applySuperknobDetent(deck, current, delta);
             
             engine.setValue(control, "super1", newValue);
             
-            // show superknob feedback on all pads
+            // show superknob feedback on all pads, flashing as it lands on neutral
             MPD218.LEDManager.showSuperknobFeedback(deck, newValue);
+            if (newValue === 0.5 && current !== 0.5 && MPD218.Config.encoders.superknobDetent.width > 0) {
+                MPD218.LEDManager.showDetentCue(deck);
+            }
             
             if (MPD218.isDebugEnabled()) {
                 console.log(`superknob: ${deck} ${direction > 0 ? '+' : '-'} -> ${newValue.toFixed(3)} (${newValue < 0.5 ? 'lpf' : newValue > 0.5 ? 'hpf' : 'neutral'})`);
             }
         },
         
-        handleBeatJump: function(deck, direction, speed) {
-            // beat jump with rate-based multiplier
-            // track time between increments to detect fast turning
-            const now = Date.now();
-            const rateState = MPD218.State.beatjumpRate;
+        // centre detent: neutral holds until the pushes add up past the sticky zone, and turning
+        // into the zone (or across the centre) snaps back to neutral
+        applySuperknobDetent: function(deck, current, delta) {
+            const width = MPD218.Config.encoders.superknobDetent.width;
+            const pushes = MPD218.State.superknobDetent;
+            const target = Math.max(0, Math.min(1, current + delta));
+            if (!(width > 0)) return target;
             
-            if (!rateState.lastTime[deck]) {
-                rateState.lastTime[deck] = now;
-                rateState.multiplier[deck] = 1;
+            if (current === 0.5) {
+                pushes[deck] = (pushes[deck] || 0) + delta;
+                if (Math.abs(pushes[deck]) < width) return 0.5;
+                
+                // pushed through: leave from the edge of the zone
+                const value = 0.5 + pushes[deck];
+                delete pushes[deck];
+                return Math.max(0, Math.min(1, value));
             }
             
-            const timeSinceLastIncrement = now - rateState.lastTime[deck];
-            rateState.lastTime[deck] = now;
-            
-            // adjust multiplier based on increment rate
-            // fast turning (< 50ms between increments) = increase multiplier
-            // slow turning (> 150ms) = reset to 1
-            // use powers of 2: 1, 2, 4, 8
-            if (timeSinceLastIncrement < 50) {
-                // very fast - jump to next power of 2
-                if (rateState.multiplier[deck] < 2) {
-                    rateState.multiplier[deck] = 2;
-                } else if (rateState.multiplier[deck] < 4) {
-                    rateState.multiplier[deck] = 4;
-                } else {
-                    rateState.multiplier[deck] = 8;
-                }
-            } else if (timeSinceLastIncrement < 100) {
-                // medium fast - move to 2 if at 1
-                if (rateState.multiplier[deck] < 2) {
-                    rateState.multiplier[deck] = 2;
-                }
-            } else if (timeSinceLastIncrement > 150) {
-                // slow - reset to 1 beat
-                rateState.multiplier[deck] = 1;
+            if (Math.abs(target - 0.5) < width || (current - 0.5) * (target - 0.5) < 0) {
+                delete pushes[deck];
+                return 0.5;
             }
-            // else maintain current multiplier
-            
-            const beatSize = rateState.multiplier[deck];
+            return target;
+        },
+        
+        // declarative encoder action from Config.customActions
+        handleCustom: function(action, direction, speed) {
+            switch (action.type) {
+                case "increment":
+                    MPD218.Controllers.incrementControl(action.deck, action.control, direction * speed * (action.step || 1), action.min, action.max);
+                    break;
+                    
+                case "trigger":
+                    if (direction > 0 || !action.controlDown) {
+                        engine.setValue(action.deck, action.control, 1);
+                    } else {
+                        engine.setValue(action.deck, action.controlDown, 1);
+                    }
+                    break;
+                    
+                default:
+                    // toggle/set act once per tick like a pad press
+                    MPD218.Controllers.executeAction(action);
+                    break;
+            }
+        },
+        
+        handleBeatJump: function(deck, direction, speed) {
+            // beat jump size follows encoder acceleration (stepped: 1, 2, 4, 8 beats)
+            const beatSize = speed;
             
             // check if jump would go beyond track boundaries
             const currentPos = engine.getValue(deck, "playposition");
             const trackDuration = engine.getValue(deck, "duration");
             const currentTime = currentPos * trackDuration;
             const bpm = engine.getValue(deck, "bpm");
+            let clamped = false;
             
             if (bpm > 0 && trackDuration > 0) {
                 // calculate jump distance in seconds
@@ -1227,6 +3088,7 @@ MPD218.Controllers = {
                     engine.setValue(deck, control, 1);
                 } else {
                     // clamp to track boundaries
+                    clamped = true;
                     if (newTime < 0) {
                         engine.setValue(deck, "playposition", 0);
                     } else {
@@ -1241,8 +3103,10 @@ MPD218.Controllers = {
             }
             
             if (MPD218.isDebugEnabled()) {
-                console.log(`beatjump: ${deck} ${direction > 0 ? '+' : '-'}${beatSize} beats (rate: ${timeSinceLastIncrement}ms, mult: ${rateState.multiplier[deck].toFixed(1)})`);
+                console.log(`beatjump: ${deck} ${direction > 0 ? '+' : '-'}${beatSize} beats${clamped ? ' (clamped to track edge)' : ''}`);
             }
+            
+            MPD218.LEDManager.showBeatjumpFeedback(deck, beatSize, direction, clamped);
         }
     }
 };
@@ -1303,6 +3167,41 @@ MPD218.MIDIHandlers = {
             console.log(`🔄 NRPN DECREMENT: channel ${midiChannel + 1}, value ${value}`);
         }
         MPD218.Controllers.handleNRPN.processMotion(midiChannel, false, value);
+    },
+    
+    // NRPN CC 6 (data entry MSB) - coarse absolute value, refined by a following LSB
+    nrpnDataMSB: function(channel, control, value, status, group) {
+        const midiChannel = status & 0x0F;
+        if (!MPD218.State.nrpnParams[midiChannel + 1]) {
+            MPD218.State.nrpnParams[midiChannel + 1] = {};
+        }
+        MPD218.State.nrpnParams[midiChannel + 1].dataMsb = value;
+        
+        if (MPD218.isDebugEnabled()) {
+            console.log(`🎚️  NRPN DATA MSB: channel ${midiChannel + 1}, value ${value}`);
+        }
+        
+        // the MSB waits for its LSB, otherwise each move would first jump to the value without its low bits
+        if (!MPD218.Config.encoders.dataEntryLSB) {
+            MPD218.Controllers.handleNRPN.processAbsolute(midiChannel, value << 7);
+        }
+    },
+    
+    // NRPN CC 38 (data entry LSB) - combined with the last MSB into a 14-bit value
+    nrpnDataLSB: function(channel, control, value, status, group) {
+        const midiChannel = status & 0x0F;
+        const params = MPD218.State.nrpnParams[midiChannel + 1];
+        if (!params || params.dataMsb === undefined) {
+            if (MPD218.isDebugEnabled()) {
+                console.log(`⚠️ NRPN DATA LSB without MSB on channel ${midiChannel + 1}, ignoring`);
+            }
+            return;
+        }
+        
+        if (MPD218.isDebugEnabled()) {
+            console.log(`🎚️  NRPN DATA LSB: channel ${midiChannel + 1}, value ${value}`);
+        }
+        MPD218.Controllers.handleNRPN.processAbsolute(midiChannel, (params.dataMsb << 7) | value);
     }
 };
 
@@ -1328,7 +3227,7 @@ MPD218.AnimationManager = {
     prepareChannelPads: function() {
         const channelPads = {};
         Array.from({length: MPD218.HARDWARE.LIMITS.DECK_COUNT}, (_, i) => i + 1).forEach(channelNum => {
-            const pads = MPD218.PadLayout.CHANNELS[channelNum] || [];
+            const pads = MPD218.Utils.getActiveLayout().CHANNELS[channelNum] || [];
             
             // for the animation, we want index 0 to be closest to user
             // the layout generator produces pads in the order they appear in the grid
@@ -1367,7 +3266,7 @@ MPD218.AnimationManager = {
     
     // diagonal wave animation from top-left to bottom-right
     runDiagonalWave: function(channelPads) {
-        const grid = MPD218.PadLayout.GRID;
+        const grid = MPD218.Utils.getActiveLayout().GRID;
         const stepDuration = 83; // 83ms per diagonal step (increased speed by a third)
         const gapBetweenWaves = -stepDuration; // reverse wave starts one step before forward wave completes
         
@@ -1475,9 +3374,11 @@ MPD218.AnimationManager = {
         // script reloads happen too fast for the animation to complete
         console.log("✨ running shutdown animation...");
         
-        if (!MPD218.PadLayout || !MPD218.PadLayout.NOTES) {
+        const layout = MPD218.Utils.getActiveLayout();
+        if (!layout || !layout.NOTES) {
             // fallback if layout not available
             MPD218.LEDManager.allPadsOff();
+            MPD218.LEDManager.flushLEDs();
             console.log("✅ MPD218 controller shutdown complete");
             return;
         }
@@ -1486,20 +3387,23 @@ MPD218.AnimationManager = {
         const shutdownTimer = engine.beginTimer(MPD218.HARDWARE.TIMING.SHUTDOWN_ANIMATION_INTERVAL, () => {
             // turn off previous pad
             if (currentPad > 0) {
-                MPD218.LEDManager.setPadLED(MPD218.PadLayout.NOTES[currentPad - 1], false);
+                MPD218.LEDManager.setPadLED(layout.NOTES[currentPad - 1], false);
             }
             
             // turn on current pad
-            if (currentPad < MPD218.PadLayout.NOTES.length) {
-                MPD218.LEDManager.setPadLED(MPD218.PadLayout.NOTES[currentPad], true);
+            if (currentPad < layout.NOTES.length) {
+                MPD218.LEDManager.setPadLED(layout.NOTES[currentPad], true);
                 currentPad++;
             } else {
                 // animation complete - turn off last pad
-                MPD218.LEDManager.setPadLED(MPD218.PadLayout.NOTES[currentPad - 1], false);
+                MPD218.LEDManager.setPadLED(layout.NOTES[currentPad - 1], false);
                 engine.stopTimer(shutdownTimer);
                 MPD218.LEDManager.allPadsOff();
                 console.log("✅ MPD218 controller shutdown complete");
             }
+            
+            // write each step right away, the script may be unloaded before a flush timer fires
+            MPD218.LEDManager.flushLEDs();
         }, false);
     }
 };
@@ -1515,6 +3419,9 @@ MPD218.InitManager = {
         
         // clear all timers safely
         MPD218.State.cleanupAllTimers();
+        
+        // pads may show anything after a reload, write every LED again
+        MPD218.LEDManager.resetLEDCache();
     },
     
     // register all MIDI handlers
@@ -1523,15 +3430,19 @@ MPD218.InitManager = {
         this.registerEncoderHandlers();
     },
     
-    // register pad note handlers for all pad notes
+    // register pad note on/off handlers for all pad notes of every hardware bank
     registerPadHandlers: function() {
-        MPD218.PadLayout.NOTES.forEach(note => {
-            const padStatus = MPD218.MIDI.NOTE_ON + MPD218.MIDI.PAD_CHANNEL;
-            midi.makeInputHandler(padStatus, note, MPD218.MIDIHandlers.padPress);
-            
-            if (MPD218.isDebugEnabled()) {
-                console.log(`registered pad handler: note 0x${note.toString(16)} status 0x${padStatus.toString(16)}`);
-            }
+        const padStatus = MPD218.MIDI.NOTE_ON + MPD218.MIDI.PAD_CHANNEL;
+        const releaseStatus = MPD218.MIDI.NOTE_OFF + MPD218.MIDI.PAD_CHANNEL;
+        Object.entries(MPD218.PadLayouts).forEach(([bankNum, layout]) => {
+            layout.NOTES.forEach(note => {
+                midi.makeInputHandler(padStatus, note, MPD218.MIDIHandlers.padPress);
+                midi.makeInputHandler(releaseStatus, note, MPD218.MIDIHandlers.padPress);
+                
+                if (MPD218.isDebugEnabled()) {
+                    console.log(`registered pad handler: bank ${bankNum} note 0x${note.toString(16)} status 0x${padStatus.toString(16)}`);
+                }
+            });
         });
     },
     
@@ -1546,8 +3457,12 @@ MPD218.InitManager = {
             midi.makeInputHandler(status, MPD218.MIDI.NRPN_LSB, MPD218.MIDIHandlers.nrpnLSB);
             midi.makeInputHandler(status, MPD218.MIDI.NRPN_INCREMENT, MPD218.MIDIHandlers.nrpnIncrement);
             midi.makeInputHandler(status, MPD218.MIDI.NRPN_DECREMENT, MPD218.MIDIHandlers.nrpnDecrement);
+            midi.makeInputHandler(status, MPD218.MIDI.DATA_ENTRY_MSB, MPD218.MIDIHandlers.nrpnDataMSB);
+            midi.makeInputHandler(status, MPD218.MIDI.DATA_ENTRY_LSB, MPD218.MIDIHandlers.nrpnDataLSB);
         }
         
+        MPD218.Controllers.handleNRPN.enableSoftTakeover();
+        
         if (MPD218.isDebugEnabled()) {
             console.log("registered NRPN handlers for all 16 MIDI channels");
             console.log("encoder mappings:", Object.keys(MPD218.EncoderMappings).join(','));
@@ -1569,7 +3484,72 @@ MPD218.InitManager = {
             engine.makeConnection(deck, "keylock", MPD218.EngineCallbacks.featureChanged);
             engine.makeConnection(deck, "slip_enabled", MPD218.EngineCallbacks.featureChanged);
             engine.makeConnection(deck, "quantize", MPD218.EngineCallbacks.featureChanged);
+            
+            // feature lock callbacks (medium/full feature LEDs)
+            new Set(Object.values(MPD218.Config.leds.featureLocks)).forEach(lock => {
+                engine.makeConnection(deck, lock, MPD218.EngineCallbacks.featureLockChanged);
+            });
         });
+        
+        // transport callbacks (only when a bank shows transport controls)
+        if (MPD218.BankGenerator.usesBankType("transport")) {
+            decks.forEach(deck => {
+                ["play_indicator", "cue_indicator", "sync_enabled", "play"].forEach(control => {
+                    engine.makeConnection(deck, control, MPD218.EngineCallbacks.controlChanged);
+                });
+            });
+        }
+        
+        // loop callbacks (only when a bank shows loops)
+        if (MPD218.BankGenerator.usesBankType("loops")) {
+            decks.forEach(deck => {
+                engine.makeConnection(deck, "loop_enabled", MPD218.EngineCallbacks.loopChanged);
+                MPD218.Config.layout.loops.sizes.forEach(size => {
+                    engine.makeConnection(deck, `beatloop_${size}_enabled`, MPD218.EngineCallbacks.loopChanged);
+                });
+            });
+        }
+        
+        // effect routing callbacks (only when a bank shows effect routing)
+        if (MPD218.BankGenerator.usesBankType("effects")) {
+            for (let unit = 1; unit <= MPD218.HARDWARE.LIMITS.EFFECT_UNITS; unit++) {
+                decks.forEach(deck => {
+                    engine.makeConnection(`[EffectRack1_EffectUnit${unit}]`, `group_${deck}_enable`, MPD218.EngineCallbacks.controlChanged);
+                });
+            }
+        }
+        
+        // quick effect preset callbacks (presets can change from the effects bank, custom pads or Mixxx)
+        if (MPD218.Config.quickEffectFeedback.enabled) {
+            decks.forEach(deck => {
+                engine.makeConnection(`[QuickEffectRack1_${deck}]`, "loaded_chain_preset", MPD218.EngineCallbacks.quickEffectPresetChanged);
+            });
+        }
+        
+        // custom pad action callbacks
+        MPD218.CustomActions.getWatchedControls().forEach(({ group, control }) => {
+            engine.makeConnection(group, control, MPD218.EngineCallbacks.controlChanged);
+        });
+        
+        // sampler callbacks (only when a bank shows samplers)
+        if (MPD218.BankGenerator.usesBankType("samplers")) {
+            for (let i = 1; i <= MPD218.HARDWARE.LIMITS.MAX_SAMPLERS; i++) {
+                engine.makeConnection(`[Sampler${i}]`, "track_loaded", MPD218.EngineCallbacks.samplerChanged);
+                engine.makeConnection(`[Sampler${i}]`, "play", MPD218.EngineCallbacks.samplerChanged);
+            }
+        }
+        
+        // blink condition callbacks
+        MPD218.Utils.getBlinkControls().forEach(({ group, control }) => {
+            engine.makeConnection(group, control, MPD218.EngineCallbacks.blinkChanged);
+        });
+        
+        // beat pulse callbacks (only when the beat visualizer is on)
+        if (MPD218.Config.beatVisualizer.enabled) {
+            decks.forEach(deck => {
+                engine.makeConnection(deck, "beat_active", MPD218.EngineCallbacks.beatChanged);
+            });
+        }
     },
     
     // finalize initialization
@@ -1584,6 +3564,71 @@ MPD218.InitManager = {
 // MARK: UTILITY FUNCTIONS
 // common utility functions to reduce code duplication
 MPD218.Utils = {
+    // mapping for a pad note in the current bank (null if unmapped)
+    getPadMapping: function(note) {
+        const currentBank = MPD218.BankMappings[MPD218.State.currentBank];
+        return currentBank && currentBank.pads ? currentBank.pads[note] || null : null;
+    },
+    
+    // layout for the hardware pad bank currently selected on the device
+    getActiveLayout: function() {
+        return MPD218.PadLayouts[MPD218.State.currentBank] || MPD218.PadLayout;
+    },
+    
+    // find all pad notes in the current bank that act on a deck
+    findPadsForDeck: function(deck) {
+        const currentBank = MPD218.BankMappings[MPD218.State.currentBank];
+        if (!currentBank || !currentBank.pads) return [];
+        
+        return Object.entries(currentBank.pads)
+            .filter(([note, mapping]) => mapping.deck === deck)
+            .map(([note]) => parseInt(note));
+    },
+    
+    // find pad notes in the current bank that drive or show a group/control
+    findPadsForControl: function(group, control) {
+        const currentBank = MPD218.BankMappings[MPD218.State.currentBank];
+        if (!currentBank || !currentBank.pads) return [];
+        
+        const matches = action => action && action.deck === group &&
+                                  (action.control === control || action.led === control);
+        return Object.entries(currentBank.pads)
+            .filter(([note, mapping]) => matches(mapping) || matches(mapping.shift))
+            .map(([note]) => parseInt(note));
+    },
+    
+    // find pad notes in the current bank with a blink condition on a group/control
+    findPadsForBlink: function(group, control) {
+        const currentBank = MPD218.BankMappings[MPD218.State.currentBank];
+        if (!currentBank || !currentBank.pads) return [];
+        
+        const matches = action => action && action.blink && [].concat(action.blink).some(condition =>
+            condition.control === control && (condition.group || action.deck) === group);
+        return Object.entries(currentBank.pads)
+            .filter(([note, mapping]) => matches(mapping) || matches(mapping.shift))
+            .map(([note]) => parseInt(note));
+    },
+    
+    // group/control pairs used by blink conditions in any bank
+    getBlinkControls: function() {
+        const controls = {};
+        const add = action => {
+            if (!action || !action.blink) return;
+            [].concat(action.blink).forEach(condition => {
+                const group = condition.group || action.deck;
+                controls[`${group} ${condition.control}`] = { group: group, control: condition.control };
+            });
+        };
+        
+        Object.values(MPD218.BankMappings).forEach(bank => {
+            Object.values(bank.pads).forEach(mapping => {
+                add(mapping);
+                add(mapping.shift);
+            });
+        });
+        return Object.values(controls);
+    },
+    
     // find pad note that maps to specific deck and feature/hotcue
     findPadForMapping: function(deck, type, number = null) {
         const currentBank = MPD218.BankMappings[MPD218.State.currentBank];
@@ -1616,10 +3661,66 @@ MPD218.EngineCallbacks = {
         const padNote = MPD218.Utils.findPadForMapping(group, "hotcue", hotcueNum);
         
         if (padNote !== null) {
-            MPD218.LEDManager.setPadLED(padNote, value > 0);
+            MPD218.LEDManager.updatePadLED(padNote);
+        }
+    },
+    
+    // loop state changed: loop pads of that deck all depend on it
+    loopChanged: function(value, group, control) {
+        MPD218.Utils.findPadsForDeck(group).forEach(padNote => {
+            MPD218.LEDManager.updatePadLED(padNote);
+        });
+    },
+    
+    // generic group/control changed (effect routing and custom action pads)
+    controlChanged: function(value, group, control) {
+        MPD218.Utils.findPadsForControl(group, control).forEach(padNote => {
+            MPD218.LEDManager.updatePadLED(padNote);
+        });
+    },
+    
+    // sampler loaded or playing state changed
+    samplerChanged: function(value, group, control) {
+        const padNote = MPD218.Utils.findPadForMapping(group, "sampler");
+        
+        if (padNote !== null) {
+            MPD218.LEDManager.updatePadLED(padNote);
+        }
+    },
+    
+    // beat indicator changed (beat visualizer)
+    beatChanged: function(value, group, control) {
+        if (value > 0) {
+            MPD218.BeatVisualizer.onBeat(group);
+        }
+    },
+    
+    // a deck's quick effect preset changed (stepped from the effects bank, a custom pad or in Mixxx)
+    quickEffectPresetChanged: function(value, group, control) {
+        const deck = MPD218.LEDManager.getMeterDeck(group);
+        if (deck) {
+            MPD218.LEDManager.showPresetIndex(deck, value);
         }
     },
     
+    // a feature's lock control changed (Config.leds.featureLocks)
+    featureLockChanged: function(value, group, control) {
+        Object.entries(MPD218.Config.leds.featureLocks).forEach(([feature, lock]) => {
+            if (lock !== control) return;
+            const padNote = MPD218.Utils.findPadForMapping(group, feature);
+            if (padNote !== null) {
+                MPD218.LEDManager.updatePadLED(padNote);
+            }
+        });
+    },
+    
+    // a blink condition control changed
+    blinkChanged: function(value, group, control) {
+        MPD218.Utils.findPadsForBlink(group, control).forEach(padNote => {
+            MPD218.LEDManager.updatePadLED(padNote);
+        });
+    },
+    
     // feature toggle changed (bpmlock, keylock, etc.)
     featureChanged: function(value, group, control) {
         if (MPD218.isDebugEnabled()) {
@@ -1632,7 +3733,7 @@ MPD218.EngineCallbacks = {
             if (MPD218.isDebugEnabled()) {
                 console.log(`  → updating LED for pad 0x${padNote.toString(16)} to ${value > 0}`);
             }
-            MPD218.LEDManager.setPadLED(padNote, value > 0);
+            MPD218.LEDManager.updatePadLED(padNote);
         } else if (MPD218.isDebugEnabled()) {
             console.log(`  → no pad found for ${group} ${control} in bank ${MPD218.State.currentBank}`);
         }
@@ -1660,6 +3761,9 @@ MPD218.shutdown = function() {
     // stop all existing timers safely
     MPD218.State.cleanupAllTimers();
     
+    // write LED changes still queued
+    MPD218.LEDManager.flushLEDs();
+    
     // run shutdown animation (works on final exit, not script reloads)
     MPD218.AnimationManager.runShutdownAnimation();
 };
@@ -1675,7 +3779,7 @@ MPD218.test = function() {
     
     // flash all LEDs briefly
     console.log("flashing all LEDs...");
-    MPD218.PadLayout.NOTES.forEach(note => {
+    MPD218.Utils.getActiveLayout().NOTES.forEach(note => {
         MPD218.LEDManager.setPadLED(note, true);
     });
     
@@ -1691,7 +3795,7 @@ MPD218.test = function() {
 MPD218.testZoomFeedback = function(zoomLevel = 8.0) {
     console.log(`🔍 testing zoom feedback at level ${zoomLevel}...`);
     MPD218.LEDManager.showZoomFeedback("[Channel1]", zoomLevel);
-    return `zoom feedback test started - ${zoomLevel} displayed for ${MPD218.HARDWARE.TIMING.ZOOM_FEEDBACK_DURATION}ms`;
+    return `zoom feedback test started - ${zoomLevel} displayed for ${MPD218.Config.zoomFeedback.duration || MPD218.HARDWARE.TIMING.ZOOM_FEEDBACK_DURATION}ms`;
 };
 
 // test zoom feedback with different levels
@@ -1729,7 +3833,7 @@ MPD218.testSmoothZoom = function() {
 MPD218.testSuperknobFeedback = function(value = 0.5) {
     console.log(`🎚️ testing superknob feedback at value ${value}...`);
     MPD218.LEDManager.showSuperknobFeedback("[Channel1]", value);
-    return `superknob feedback test started - ${value} displayed for ${MPD218.HARDWARE.TIMING.ZOOM_FEEDBACK_DURATION}ms`;
+    return `superknob feedback test started - ${value} displayed for ${MPD218.Config.meterFeedback.duration}ms`;
 };
 
 // test superknob feedback with different values
@@ -1768,9 +3872,8 @@ MPD218.testSmoothSuperknob = function() {
 // change bank (for testing)
 MPD218.setBank = function(bankNum) {
     if (bankNum >= 1 && bankNum <= MPD218.HARDWARE.LIMITS.MAX_BANKS) {
-        MPD218.State.currentBank = bankNum;
+        MPD218.Controllers.selectBank(bankNum);
         console.log(`switched to bank ${bankNum}: ${MPD218.BankMappings[bankNum].name}`);
-        MPD218.LEDManager.syncFeatureLEDs();
     } else {
         console.log(`bank must be 1-${MPD218.HARDWARE.LIMITS.MAX_BANKS}`);
     }
@@ -1800,6 +3903,207 @@ MPD218.setZoomFeedback = function(enabled, duration, reverse) {
     return "zoom feedback settings updated";
 };
 
+// choose the pad meter style for zoom, superknob or custom encoders
+MPD218.setMeterStyle = function(encoderType, style) {
+    const styles = MPD218.Config.meterFeedback.styles;
+    if (styles[encoderType] === undefined) {
+        console.log(`❌ meter encoder type must be one of: ${Object.keys(styles).join(', ')}`);
+        return "invalid encoder type";
+    }
+    if (MPD218.LEDManager.METER_STYLES.indexOf(style) === -1) {
+        console.log(`❌ meter style must be one of: ${MPD218.LEDManager.METER_STYLES.join(', ')}`);
+        return "invalid meter style";
+    }
+    
+    styles[encoderType] = style;
+    console.log(`📊 ${encoderType} meter style: ${style}`);
+    return "meter style updated";
+};
+
+// configure the superknob centre detent (0 turns it off)
+MPD218.setSuperknobDetent = function(width) {
+    if (!(typeof width === "number" && width >= 0 && width < 0.5)) {
+        console.log("❌ superknob detent width must be a number from 0 up to 0.5");
+        return "invalid detent width";
+    }
+    
+    MPD218.Config.encoders.superknobDetent.width = width;
+    MPD218.State.superknobDetent = {};
+    console.log(`🎚️ superknob detent: ${width > 0 ? `±${width} around neutral` : 'off'}`);
+    return "superknob detent updated";
+};
+
+// assign a bank type to a hardware pad bank (e.g. setBankType(3, "samplers"))
+MPD218.setBankType = function(bankNum, bankType) {
+    const validTypes = MPD218.BankGenerator.BANK_TYPES;
+    if (!(bankNum >= 1 && bankNum <= MPD218.HARDWARE.LIMITS.MAX_BANKS)) {
+        console.log(`❌ bank must be 1-${MPD218.HARDWARE.LIMITS.MAX_BANKS}`);
+        return "invalid bank";
+    }
+    if (validTypes.indexOf(bankType) === -1) {
+        console.log(`❌ bank type must be one of: ${validTypes.join(', ')}`);
+        return "invalid bank type";
+    }
+    
+    MPD218.Config.layout.banks[bankNum] = bankType;
+    return MPD218.reconfigure();
+};
+
+// set the acceleration curve for an encoder type
+MPD218.setEncoderAcceleration = function(encoderType, curve) {
+    const curves = MPD218.Config.encoders.acceleration.curves;
+    if (!Object.prototype.hasOwnProperty.call(curves, encoderType)) {
+        console.log(`❌ encoder type must be one of: ${Object.keys(curves).join(', ')}`);
+        return "invalid encoder type";
+    }
+    if (MPD218.Acceleration.CURVES.indexOf(curve) === -1) {
+        console.log(`❌ acceleration curve must be one of: ${MPD218.Acceleration.CURVES.join(', ')}`);
+        return "invalid acceleration curve";
+    }
+    
+    curves[encoderType] = curve;
+    MPD218.EncoderMappings = MPD218.generateEncoderMappings();
+    MPD218.Controllers.handleNRPN.enableSoftTakeover();
+    
+    console.log(`🚀 ${encoderType} encoder acceleration: ${curve}`);
+    return "encoder acceleration updated";
+};
+
+// choose what the deck encoders do on a hardware bank
+MPD218.setEncoderType = function(bankNum, encoderType) {
+    const validTypes = Object.keys(MPD218.DeckEncoderTypes.SPEEDS);
+    if (!MPD218.HARDWARE.DECK_ENCODER_CHANNELS[bankNum]) {
+        console.log(`❌ bank must be 1-${MPD218.HARDWARE.LIMITS.MAX_BANKS}`);
+        return "invalid bank";
+    }
+    if (validTypes.indexOf(encoderType) === -1) {
+        console.log(`❌ encoder type must be one of: ${validTypes.join(', ')}`);
+        return "invalid encoder type";
+    }
+    
+    MPD218.Config.encoders.deckEncoders[bankNum] = encoderType;
+    MPD218.EncoderMappings = MPD218.generateEncoderMappings();
+    MPD218.Controllers.handleNRPN.enableSoftTakeover();
+    
+    console.log(`🎛️  bank ${bankNum} deck encoders: ${encoderType}`);
+    return "encoder type updated";
+};
+
+// set global LED brightness (0.0-1.0)
+MPD218.setLEDBrightness = function(brightness) {
+    if (!(typeof brightness === "number" && brightness > 0 && brightness <= 1)) {
+        console.log("❌ LED brightness must be a number above 0 and up to 1");
+        return "invalid LED brightness";
+    }
+    
+    MPD218.Config.leds.ledBrightness = brightness;
+    if (MPD218.State.initialized) {
+        MPD218.LEDManager.syncFeatureLEDs();
+    }
+    
+    console.log(`💡 LED brightness: ${Math.round(brightness * 100)}%`);
+    return "LED brightness updated";
+};
+
+// choose how pad LEDs are written: "note", "cc" or "both"
+MPD218.setLEDOutputMode = function(mode) {
+    const validModes = ["note", "cc", "both"];
+    if (validModes.indexOf(mode) === -1) {
+        console.log(`❌ LED output mode must be one of: ${validModes.join(', ')}`);
+        return "invalid LED output mode";
+    }
+    
+    MPD218.Config.leds.outputMode = mode;
+    
+    // rewrite every LED through the new output
+    MPD218.LEDManager.resetLEDCache();
+    if (MPD218.State.initialized) {
+        MPD218.LEDManager.allPadsOff();
+        MPD218.LEDManager.syncFeatureLEDs();
+    }
+    
+    console.log(`💡 LED output mode: ${mode}`);
+    return "LED output mode updated";
+};
+
+// turn the beat visualizer on or off
+MPD218.setBeatVisualizer = function(enabled, beatsPerBar) {
+    if (beatsPerBar !== undefined && !(Number.isInteger(beatsPerBar) && beatsPerBar > 0)) {
+        console.log("❌ beats per bar must be a positive whole number");
+        return "invalid beats per bar";
+    }
+    
+    if (enabled !== undefined) MPD218.Config.beatVisualizer.enabled = !!enabled;
+    if (beatsPerBar !== undefined) MPD218.Config.beatVisualizer.beatsPerBar = beatsPerBar;
+    
+    console.log(`💓 beat visualizer: ${MPD218.Config.beatVisualizer.enabled ? 'on' : 'off'}, ${MPD218.Config.beatVisualizer.beatsPerBar} beats per bar`);
+    
+    // beat callbacks are connected on init
+    return MPD218.reconfigure();
+};
+
+// configure shift layer
+MPD218.setShiftMode = function(mode, pad) {
+    const validModes = ["off", "pad", "hold"];
+    if (mode !== undefined && validModes.indexOf(mode) === -1) {
+        console.log(`❌ shift mode must be one of: ${validModes.join(', ')}`);
+        return "invalid shift mode";
+    }
+    if (pad !== undefined && !(pad >= 0 && pad < 16)) {
+        console.log("❌ shift pad must be a position 0-15 (bottom-left to top-right)");
+        return "invalid shift pad";
+    }
+    
+    if (mode !== undefined) MPD218.Config.shift.mode = mode;
+    if (pad !== undefined) MPD218.Config.shift.pad = pad;
+    
+    // drop any held shift state from the previous mode
+    MPD218.State.shift.heldPad = null;
+    MPD218.State.shift.consumed = false;
+    MPD218.State.shift.active = false;
+    MPD218.LEDManager.syncFeatureLEDs();
+    
+    console.log(`⇧ shift layer updated: mode=${MPD218.Config.shift.mode}, pad=${MPD218.Config.shift.pad}`);
+    return "shift settings updated";
+};
+
+// configure pad velocity sensitivity
+MPD218.setPadSensitivity = function(sensitivity, curve) {
+    if (sensitivity !== undefined && !MPD218.Velocity.PRESETS[sensitivity]) {
+        console.log(`❌ pad sensitivity must be one of: ${Object.keys(MPD218.Velocity.PRESETS).join(', ')}`);
+        return "invalid pad sensitivity";
+    }
+    if (curve !== undefined && curve !== null && ["linear", "log", "exp"].indexOf(curve) === -1) {
+        console.log("❌ velocity curve must be linear, log, exp or null");
+        return "invalid velocity curve";
+    }
+    
+    if (sensitivity !== undefined) MPD218.Config.interaction.padSensitivity = sensitivity;
+    if (curve !== undefined) MPD218.Config.interaction.velocityCurve = curve;
+    
+    const { curve: active } = MPD218.Velocity.getCurve();
+    console.log(`💥 pad sensitivity: ${MPD218.Config.interaction.padSensitivity} (${active} curve), velocity 64 -> ${MPD218.Velocity.normalize(64).toFixed(3)}`);
+    return "pad sensitivity updated";
+};
+
+// configure pad mode for an action type (e.g. "slip_enabled", "hold")
+MPD218.setPadMode = function(type, mode) {
+    const validModes = ["toggle", "momentary", "hold"];
+    if (validModes.indexOf(mode) === -1) {
+        console.log(`❌ pad mode must be one of: ${validModes.join(', ')}`);
+        return "invalid pad mode";
+    }
+    
+    MPD218.Config.interaction.padModes[type] = mode;
+    
+    // hotcue gestures depend on the hotcue pad mode
+    if (type === "hotcue") {
+        MPD218.BankMappings = MPD218.BankGenerator.generateAllBanks();
+    }
+    console.log(`🥁 pad mode for ${type}: ${mode}`);
+    return "pad mode updated";
+};
+
 // configure encoder speeds
 MPD218.setEncoderSpeeds = function(zoomFast, zoomSlow, beatgrid, jogwheel, scrub) {
     // validate inputs
@@ -1816,8 +4120,9 @@ MPD218.setEncoderSpeeds = function(zoomFast, zoomSlow, beatgrid, jogwheel, scrub
     if (jogwheel !== undefined) MPD218.Config.encoders.jogwheelSpeed = jogwheel;
     if (scrub !== undefined) MPD218.Config.encoders.scrubSpeed = scrub;
     
-    // regenerate encoder mappings with new speeds
+    // regenerate encoder mappings with new speeds (absolute targets keep soft takeover)
     MPD218.EncoderMappings = MPD218.generateEncoderMappings();
+    MPD218.Controllers.handleNRPN.enableSoftTakeover();
     
     console.log(`🎛️  encoder speeds updated: zoom fast=${MPD218.Config.encoders.zoomFast}, slow=${MPD218.Config.encoders.zoomSlow}, beatgrid=${MPD218.Config.encoders.beatgridSpeed}, jogwheel=${MPD218.Config.encoders.jogwheelSpeed}, scrub=${MPD218.Config.encoders.scrubSpeed}`);
     return "encoder speeds updated";
@@ -1831,9 +4136,12 @@ MPD218.setEncoderSpeeds = function(zoomFast, zoomSlow, beatgrid, jogwheel, scrub
 MPD218.reconfigure = function() {
     console.log("🔧 reconfiguring layout...");
     
-    // regenerate layout and mappings from current config
-    MPD218.PadLayout = MPD218.LayoutGenerator.generateLayout();
+    // regenerate layouts and mappings from current config
+    MPD218.PadLayouts = MPD218.LayoutGenerator.generateAllLayouts();
+    MPD218.PadLayout = MPD218.PadLayouts[1];
     MPD218.BankMappings = MPD218.BankGenerator.generateAllBanks();
+    MPD218.EncoderMappings = MPD218.generateEncoderMappings();
+    MPD218.Controllers.handleNRPN.enableSoftTakeover();
     
     console.log("✅ layout reconfigured");
     
@@ -1855,15 +4163,46 @@ MPD218.showLayout = function() {
     console.log(`  rotation: ${MPD218.Config.layout.rotation}° ${MPD218.Config.layout.rotationDirection}`);
     console.log(`  index order: ${MPD218.Config.layout.indexOrder}`);
     console.log(`  deck order: [${MPD218.Config.layout.deckOrder.join(', ')}]`);
+    console.log(`  banks: ${Object.entries(MPD218.Config.layout.banks).map(([bank, type]) => `${bank}=${type}`).join(', ')} (hotcue deck ${MPD218.Config.layout.hotcueDeck})`);
     console.log(`  features: ${Object.entries(MPD218.Config.layout.featureRows).map(([pos, feat]) => `${pos}=${feat}`).join(', ')}`);
     
     console.log("\n🎛️  encoder settings:");
     console.log(`  zoom speeds: fast=${MPD218.Config.encoders.zoomFast}, slow=${MPD218.Config.encoders.zoomSlow}`);
     console.log(`  other speeds: beatgrid=${MPD218.Config.encoders.beatgridSpeed}, jogwheel=${MPD218.Config.encoders.jogwheelSpeed}, scrub=${MPD218.Config.encoders.scrubSpeed}`);
+    const curves = MPD218.Config.encoders.acceleration.curves;
+    console.log(`  acceleration: ${Object.keys(curves).map(type => `${type}=${curves[type]}`).join(', ')}`);
+    console.log(`  superknob detent: ${MPD218.Config.encoders.superknobDetent.width > 0 ? `±${MPD218.Config.encoders.superknobDetent.width}` : 'off'}`);
     
     console.log("\n🔍 zoom feedback:");
     console.log(`  enabled: ${MPD218.Config.zoomFeedback.enabled}, duration: ${MPD218.Config.zoomFeedback.duration}ms, reverse: ${MPD218.Config.zoomFeedback.reverseDirection}`);
     
+    const meterStyles = MPD218.Config.meterFeedback.styles;
+    console.log("\n📊 meters:");
+    console.log(`  custom encoders: ${MPD218.Config.meterFeedback.enabled ? 'enabled' : 'disabled'}, duration: ${MPD218.Config.meterFeedback.duration}ms`);
+    console.log(`  styles: ${Object.keys(meterStyles).map(type => `${type} ${meterStyles[type]}`).join(', ')}`);
+    
+    console.log("\n💡 LEDs:");
+    const featureLocks = MPD218.Config.leds.featureLocks;
+    console.log(`  brightness: ${Math.round(MPD218.Config.leds.ledBrightness * 100)}%, output: ${MPD218.Config.leds.outputMode}, feature locks: ${Object.keys(featureLocks).map(feature => `${feature}+${featureLocks[feature]}`).join(', ') || 'none'}`);
+    
+    console.log("\n💓 beat visualizer:");
+    console.log(`  enabled: ${MPD218.Config.beatVisualizer.enabled}, beats per bar: ${MPD218.Config.beatVisualizer.beatsPerBar}`);
+    
+    console.log("\n⏩ beatjump feedback:");
+    console.log(`  enabled: ${MPD218.Config.beatjumpFeedback.enabled}, duration: ${MPD218.Config.beatjumpFeedback.duration}ms, flashes on clamp: ${MPD218.Config.beatjumpFeedback.flashCount}`);
+    
+    console.log("\n🎛️ quick effect preset feedback:");
+    console.log(`  enabled: ${MPD218.Config.quickEffectFeedback.enabled}, duration: ${MPD218.Config.quickEffectFeedback.duration}ms`);
+    
+    console.log("\n🥁 pad modes:");
+    console.log(`  ${Object.entries(MPD218.Config.interaction.padModes).map(([type, mode]) => `${type}=${mode}`).join(', ')}`);
+    
+    console.log(`  velocity: ${MPD218.Config.interaction.padSensitivity} sensitivity (${MPD218.Velocity.getCurve().curve} curve)`);
+    console.log(`  gestures: double tap ${MPD218.Config.interaction.doubleClickTime}ms, long press ${MPD218.Config.interaction.holdTime}ms`);
+    
+    console.log("\n⇧ shift layer:");
+    console.log(`  mode: ${MPD218.Config.shift.mode}, pad: ${MPD218.Config.shift.pad}, hold delay: ${MPD218.Config.shift.holdDelay}ms`);
+    
     console.log("\n🐛 system settings:");
     console.log(`  debug logging: ${MPD218.Config.system.debugEnabled ? 'ENABLED' : 'disabled'}`);
     
@@ -1873,11 +4212,12 @@ MPD218.showLayout = function() {
     console.log("  features:", Object.entries(MPD218.PadLayout.FEATURES).map(([feat, notes]) => 
         `${feat}=[${notes.map(n => '0x' + n.toString(16)).join(',')}]`).join(' '));
     
-    console.log("\n🎛️  encoder mappings (left to right):");
-    const deckOrder = MPD218.Config.layout.deckOrder;
-    console.log(`  bank 1 beatgrid: deck ${deckOrder[0]}, deck ${deckOrder[1]}, deck ${deckOrder[2]}, deck ${deckOrder[3]}`);
-    console.log(`  bank 2 beatjump: deck ${deckOrder[0]}, deck ${deckOrder[1]}, deck ${deckOrder[2]}, deck ${deckOrder[3]}`);
-    console.log(`  bank 3 superknob: deck ${deckOrder[0]}, deck ${deckOrder[1]}, deck ${deckOrder[2]}, deck ${deckOrder[3]}`);
+    console.log("\n🎛️  deck encoder mappings (back-left, back-right, front-left, front-right):");
+    const encoderToDeck = MPD218.LayoutGenerator.mapEncoderGrid(MPD218.Config.layout);
+    const encoderDecks = encoderToDeck.map(deck => `deck ${deck}`).join(', ');
+    Object.keys(MPD218.HARDWARE.DECK_ENCODER_CHANNELS).forEach(bankNum => {
+        console.log(`  bank ${bankNum} ${MPD218.Config.encoders.deckEncoders[bankNum]}: ${encoderDecks}`);
+    });
     
     return "layout info logged to console";
 };
@@ -1893,10 +4233,18 @@ MPD218.showBankMappings = function(bankNum = MPD218.State.currentBank) {
     console.log(`🎛️  bank ${bankNum} (${bank.name}) pad mappings:`);
     Object.entries(bank.pads).forEach(([note, mapping]) => {
         const noteHex = '0x' + parseInt(note).toString(16);
+        let extras = mapping.shift ? ` (shift: ${mapping.shift.type} ${mapping.shift.number || mapping.shift.control || ''})` : '';
+        if (mapping.gestures) {
+            ["doubleTap", "longPress"].filter(gesture => mapping.gestures[gesture]).forEach(gesture => {
+                extras += ` (${gesture}: ${mapping.gestures[gesture].type})`;
+            });
+        }
         if (mapping.type === "hotcue") {
-            console.log(`  ${noteHex} -> ${mapping.deck} hotcue ${mapping.number}`);
+            console.log(`  ${noteHex} -> ${mapping.deck} hotcue ${mapping.number}${extras}`);
+        } else if (mapping.control) {
+            console.log(`  ${noteHex} -> ${mapping.deck} ${mapping.type} ${mapping.control}${mapping.custom ? ' [custom]' : ''}${extras}`);
         } else {
-            console.log(`  ${noteHex} -> ${mapping.deck} ${mapping.type}`);
+            console.log(`  ${noteHex} -> ${mapping.deck} ${mapping.type}${extras}`);
         }
     });
     
@@ -1940,13 +4288,6 @@ MPD218.testLayoutConfigs = function() {
 /*
 🚀 POTENTIAL ADVANCED OPTIONS:
 
-HARDWARE BEHAVIOR:
-- ledBrightness: "dim"|"medium"|"full" - LED intensity control
-- padSensitivity: "low"|"medium"|"high" - velocity sensitivity 
-- doubleClickTime: 300 - ms for double-click detection
-- holdTime: 500 - ms for pad hold actions
-- encoderAcceleration: true - faster response on quick turns
-
 ANIMATION & FEEDBACK:
 - animationSpeed: "slow"|"normal"|"fast"|"off" - startup animation speed
 - ledFeedback: "instant"|"delayed"|"off" - LED response timing
@@ -1961,12 +4302,9 @@ LAYOUT & GROUPING:
 
 INTERACTION MODES:
 - bankSwitchMode: "manual"|"auto"|"momentary" - bank switching behavior
-- padMode: "toggle"|"hold"|"momentary" - pad behavior mode
 - contextSensitive: true - pads adapt to current Mixxx state
-- shiftMode: "modifier"|"bank"|"layer" - shift key behavior
 
 ADVANCED FEATURES:
-- customActions: {...} - user-defined pad behaviors
 - midiPassthrough: true - allow non-script MIDI through
 - profileSwitching: true - multiple saved configurations
 - smartLEDs: true - LEDs react to audio analysis
@@ -1985,5 +4323,16 @@ console.log("🎚️ use MPD218.testSuperknobFeedback(value) to test superknob v
 console.log("🎚️ use MPD218.testSuperknobLevels() to test superknob progression");
 console.log("✨ use MPD218.testSmoothSuperknob() to test flicker-free superknob updates");
 console.log("⚙️  use MPD218.setZoomFeedback(enabled, duration, reverse) to configure zoom feedback");
+console.log("🎚️ use MPD218.setSuperknobDetent(width) to make the superknob stick at neutral (0 = off)");
+console.log("📊 use MPD218.setMeterStyle(type, style) to show zoom, superknob or custom encoders as fill, bipolar, center, dot or column meters");
+console.log("🏦 use MPD218.setBankType(bank, type) to put features, transport, hotcues, samplers, loops or effects on a pad bank");
+console.log("⇧ use MPD218.setShiftMode(mode, pad) to configure the shift layer");
+console.log("💡 use MPD218.setLEDBrightness(brightness) to dim all pad LEDs (0.0-1.0)");
+console.log("💡 use MPD218.setLEDOutputMode(mode) to write pad LEDs as note, cc or both");
+console.log("💓 use MPD218.setBeatVisualizer(enabled, beatsPerBar) to pulse deck columns on the beat");
+console.log("🥁 use MPD218.setPadMode(type, mode) to make pads toggle, momentary or hold");
+console.log("💥 use MPD218.setPadSensitivity(sensitivity, curve) to shape pad velocity");
 console.log("🎛️  use MPD218.setEncoderSpeeds(zoomFast, zoomSlow, beatgrid, jogwheel) to configure speeds");
+console.log("🚀 use MPD218.setEncoderAcceleration(type, curve) to make encoders speed up when turned fast");
+console.log("💿 use MPD218.setEncoderType(bank, type) to make deck encoders superknob, beatjump, beatgrid, jogwheel or scratch");
 console.log("🐛 use MPD218.setDebug() to toggle debug logging");